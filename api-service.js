@@ -8,57 +8,337 @@ class APIService {
         this.baseURL = config.baseURL || 'https://api.resonance.school';
         this.wsURL = config.wsURL || 'wss://api.resonance.school/ws';
         this.ws = null;
+        // Reconnects never give up; each delay is drawn from [0, min(max, base * 2^attempt))
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        this.reconnectDelay = 1000;
-        this.listeners = new Map();
+        this.reconnectDelay = config.reconnectDelay || 1000;
+        this.maxReconnectDelay = config.maxReconnectDelay || 30000;
+        this.reconnectTimer = null;
+        this.nextRetryAt = null;
+        // idle -> connecting -> open; backing-off / offline while retrying;
+        // closed after disconnect() or rejected credentials (an expired token is refreshed instead)
+        this.connectionState = 'idle';
+        this.connectionStateSince = Date.now();
+        this.networkHandlers = null;
+        // Events are published on the shared bus as 'api:<event>' (event-bus.js)
+        const Bus = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus.js');
+        this.eventBus = config.eventBus || new Bus();
+        this.events = this.eventBus.namespace('api');
+        // Unsubscribe handles for listeners added through on(), released by disconnect()
+        this.subscriptions = new Set();
+        // Console until the live terminal hands over a LoggerService child (setLogger)
+        const Logger = typeof LoggerService !== 'undefined' ? LoggerService : require('./logger-service.js');
+        this.setLogger(config.logger || Logger.createConsoleLogger({ component: 'apiservice' }));
+        // Request layer: per-attempt timeout and retry policy for REST calls
+        this.timeout = config.timeout || 30000;
+        this.retry = {
+            retries: 2,
+            baseDelay: 500,
+            maxDelay: 10000,
+            // Retry-After longer than this is treated as a failure instead of waiting
+            maxRetryAfter: 60000,
+            ...config.retry
+        };
+        // Sample data stands in for failed requests only when enabled (default: development hosts only)
+        this.mockFallback = config.mockFallback !== undefined ? config.mockFallback : this.isDevelopmentHost();
+        // Last live response per request path, served as 'cached' when a refresh fails
+        this.lastGood = new Map();
+        // Persists those responses and the log retry queue across reloads (snapshot-store.js)
+        const Store = typeof SnapshotStore !== 'undefined' ? SnapshotStore : require('./snapshot-store.js');
+        this.snapshotStore = config.snapshotStore || new Store();
+        this.processingLogQueue = false;
+        this.logQueueTimer = null;
+        // Set by disconnect(); stops the outbox timer, which otherwise runs whatever the socket does
+        this.stopped = false;
+        // Outbox delivery: batch size (server max 100) and retry backoff per queued entry
+        this.logRetry = {
+            batchSize: 50,
+            baseDelay: 1000,
+            maxDelay: 5 * 60 * 1000,
+            ...config.logRetry
+        };
+        // Longer messages are cut before sending (server max 1000 characters)
+        this.maxLogMessageLength = config.maxLogMessageLength || 1000;
+        this.authToken = config.authToken || null;
+        this.apiKey = config.apiKey || null;
+        // Renewing an expired access token: a refreshAuth(api) hook resolving to
+        // { accessToken, refreshToken }, else the refresh token through POST /api/auth/refresh
+        this.refreshToken = config.refreshToken || null;
+        this.refreshAuth = config.refreshAuth || null;
+        this.refreshing = null;
+        // The last socket closed with 4419; renew the token before reconnecting
+        this.tokenExpired = false;
+        // Last broadcast sequence delivered and the server run it belongs to, for resume after reconnect
+        this.lastSeq = null;
+        this.serverEpoch = null;
+        // Live broadcasts that arrive before the resume replay finishes, delivered after it
+        this.resumePending = false;
+        this.heldEvents = [];
+        // Live feed subscription, re-sent on every (re)connect
+        this.subscription = {
+            channels: config.channels || ['sovereignty', 'wallet', 'nodes', 'logs'],
+            nodeIds: config.nodeIds || null
+        };
+    }
+
+    /**
+     * Log through a LoggerService (usually a child bound to { component: 'apiservice' })
+     * Problems delivering logs are logged as component 'apiservice.delivery', which the HTTP
+     * log sink skips; otherwise every failed flush would queue its own warnings for delivery.
+     */
+    setLogger(logger) {
+        this.logger = logger;
+        this.deliveryLogger = logger.child({ component: 'apiservice.delivery' });
+    }
+
+    /**
+     * Set the access token sent with API requests (role is carried in its claims)
+     */
+    setAuthToken(token) {
+        this.authToken = token || null;
+    }
+
+    /**
+     * Build authorization headers for API requests (access token, else API key)
+     */
+    getAuthHeaders() {
+        if (this.authToken) {
+            return { 'Authorization': `Bearer ${this.authToken}` };
+        }
+        return this.apiKey ? { 'X-API-Key': this.apiKey } : {};
+    }
+
+    /**
+     * WebSocket subprotocols: the application protocol plus the credential
+     * (sent as a subprotocol so it never appears in URLs or access logs)
+     */
+    getWebSocketProtocols() {
+        const protocols = ['resonance.v1'];
+        if (this.authToken) {
+            protocols.push(`bearer.${this.authToken}`);
+        } else if (this.apiKey) {
+            protocols.push(`apikey.${this.apiKey}`);
+        }
+        return protocols;
+    }
+
+    /**
+     * Current connection state
+     * @returns {Object} { state, since, attempts, nextRetryAt }
+     */
+    getConnectionState() {
+        return {
+            state: this.connectionState,
+            since: this.connectionStateSince,
+            attempts: this.reconnectAttempts,
+            nextRetryAt: this.nextRetryAt
+        };
+    }
+
+    /**
+     * Move to a new connection state and emit stateChange
+     */
+    setConnectionState(state) {
+        if (state === this.connectionState) return;
+        
+        const previous = this.connectionState;
+        this.connectionState = state;
+        this.connectionStateSince = Date.now();
+        this.emit('stateChange', { ...this.getConnectionState(), previous });
+    }
+
+    /**
+     * Whether the browser reports network access (assumed outside browsers)
+     */
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
     }
 
     /**
      * Initialize WebSocket connection for real-time updates
      */
     initWebSocket() {
+        this.clearReconnectTimer();
+        this.attachNetworkListeners();
+        this.stopped = false;
+        
+        if (!this.isOnline()) {
+            this.setConnectionState('offline');
+            return;
+        }
+        
+        if (this.ws) {
+            const previous = this.ws;
+            this.ws = null;
+            previous.close();
+        }
+        
+        this.setConnectionState('connecting');
+        
         try {
-            this.ws = new WebSocket(this.wsURL);
+            const socket = new WebSocket(this.wsURL, this.getWebSocketProtocols());
+            this.ws = socket;
             
-            this.ws.onopen = () => {
-                console.log('[APIService] WebSocket connected');
+            socket.onopen = () => {
+                if (this.ws !== socket) return;
+                this.logger.info('WebSocket connected');
                 this.reconnectAttempts = 0;
+                this.setConnectionState('open');
+                this.sendSubscription();
                 this.emit('connected', { timestamp: Date.now() });
             };
 
-            this.ws.onmessage = (event) => {
+            socket.onmessage = (event) => {
                 try {
                     const data = JSON.parse(event.data);
                     this.handleMessage(data);
                 } catch (error) {
-                    console.error('[APIService] Failed to parse message:', error);
+                    this.logger.error('Failed to parse message', { error: error.message });
                 }
             };
 
-            this.ws.onerror = (error) => {
-                console.error('[APIService] WebSocket error:', error);
+            socket.onerror = (error) => {
+                this.logger.error('WebSocket error', { error: error.message || error.type });
                 this.emit('error', { error, timestamp: Date.now() });
             };
 
-            this.ws.onclose = () => {
-                console.log('[APIService] WebSocket disconnected');
+            socket.onclose = (event) => {
+                // Ignore sockets replaced by a newer connection or closed by disconnect()
+                if (this.ws !== socket) return;
+                this.ws = null;
+                
+                this.logger.info('WebSocket disconnected', { code: event ? event.code : null });
                 this.emit('disconnected', { timestamp: Date.now() });
+                
+                // Rejected credentials will not improve by retrying; an expired token is renewed first
+                if (event && event.code === 4401) {
+                    this.handleAuthFailure(event.reason);
+                    return;
+                }
+                if (event && event.code === 4419) {
+                    this.logger.info('WebSocket access token expired; refreshing before reconnect');
+                    this.tokenExpired = true;
+                }
                 this.attemptReconnect();
             };
         } catch (error) {
-            console.error('[APIService] WebSocket initialization failed:', error);
+            this.logger.error('WebSocket initialization failed', { error: error.message });
             this.attemptReconnect();
         }
     }
 
+    /**
+     * Stop reconnecting after the server refused the credentials
+     */
+    handleAuthFailure(reason) {
+        this.logger.error('WebSocket authentication failed', { reason });
+        this.setConnectionState('closed');
+        this.emit('authFailed', { reason, timestamp: Date.now() });
+    }
+
+    /**
+     * Reconnect, renewing the access token first if the last socket closed because it expired
+     * A refresh that fails to reach the server is retried with the next backoff; a refused
+     * (or impossible) refresh is final.
+     */
+    async reconnect() {
+        if (this.tokenExpired) {
+            let renewed;
+            try {
+                renewed = await this.refreshAccessToken();
+            } catch (error) {
+                this.logger.warn('Token refresh failed; will retry', { error: error.message });
+                this.attemptReconnect();
+                return;
+            }
+            // disconnect() while the refresh was in flight
+            if (this.connectionState === 'closed') return;
+            if (!renewed) {
+                this.handleAuthFailure('Token expired and could not be refreshed');
+                return;
+            }
+            this.tokenExpired = false;
+        }
+        this.initWebSocket();
+    }
+
+    /**
+     * Get a new access token; concurrent callers share one refresh
+     * @returns {Promise<boolean>} True if a new token is set; false if there is no way to refresh
+     *   or the server refused the refresh token
+     * @throws {Error} If the refresh did not get an answer (worth retrying)
+     */
+    refreshAccessToken() {
+        if (!this.refreshing) {
+            this.refreshing = this.renewTokens().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    /**
+     * Obtain tokens from the refreshAuth hook or POST /api/auth/refresh and apply them
+     */
+    async renewTokens() {
+        let tokens;
+        try {
+            if (this.refreshAuth) {
+                tokens = await this.refreshAuth(this);
+            } else if (this.refreshToken) {
+                tokens = await this.request('/api/auth/refresh', {
+                    method: 'POST',
+                    retries: 0,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken: this.refreshToken })
+                });
+            }
+        } catch (error) {
+            if ([400, 401, 403].includes(error.status)) {
+                this.logger.error('Token refresh refused', { status: error.status });
+                return false;
+            }
+            throw error;
+        }
+        if (!tokens || !tokens.accessToken) {
+            return false;
+        }
+
+        this.setAuthToken(tokens.accessToken);
+        if (tokens.refreshToken) {
+            this.refreshToken = tokens.refreshToken;
+        }
+        this.logger.info('Access token refreshed');
+        this.emit('tokenRefreshed', {
+            accessToken: this.authToken,
+            refreshToken: this.refreshToken,
+            expiresIn: tokens.expiresIn || null,
+            timestamp: Date.now()
+        });
+        return true;
+    }
+
     /**
      * Handle incoming WebSocket messages
      */
     handleMessage(data) {
         const { type, payload } = data;
         
+        if (Number.isInteger(data.seq)) {
+            if (this.resumePending && !data.replayed) {
+                this.heldEvents.push(data);
+                return;
+            }
+            // Already delivered, live before a replay or replayed twice
+            if (this.lastSeq !== null && data.seq <= this.lastSeq) {
+                return;
+            }
+            this.lastSeq = data.seq;
+        }
+        
         switch (type) {
+            case 'connected':
+                this.handleConnected(payload);
+                break;
             case 'sovereignty_update':
                 this.emit('sovereigntyUpdate', payload);
                 break;
@@ -71,154 +351,672 @@ class APIService {
             case 'log_entry':
                 this.emit('logEntry', payload);
                 break;
+            case 'subscribed':
+            case 'unsubscribed':
+                this.emit('subscription', payload);
+                break;
+            case 'gap':
+                this.logger.warn('Live feed gap', payload);
+                this.emit('gap', payload);
+                break;
+            case 'resumed':
+                this.emit('resumed', payload);
+                this.releaseHeldEvents();
+                break;
+            case 'log_level':
+                // Operator override, applied by LoggerService
+                this.emit('logLevel', payload);
+                break;
             default:
                 this.emit('message', data);
         }
     }
 
     /**
-     * Attempt to reconnect WebSocket
+     * Handle the server welcome: ask for missed events if this is a reconnect
+     */
+    handleConnected(payload = {}) {
+        const resuming = this.lastSeq !== null;
+        this.heldEvents = [];
+        this.resumePending = resuming
+            && this.sendMessage({ type: 'resume', lastSeq: this.lastSeq, epoch: this.serverEpoch });
+        
+        if (payload.epoch && payload.epoch !== this.serverEpoch) {
+            // A restarted server replays its whole run on resume; a first connection starts live
+            this.lastSeq = resuming && this.serverEpoch !== null ? 0 : payload.seq;
+            this.serverEpoch = payload.epoch;
+        } else if (!resuming) {
+            this.lastSeq = payload.seq;
+        }
+    }
+
+    /**
+     * Deliver the live broadcasts held back while the resume replay was in flight
+     */
+    releaseHeldEvents() {
+        const held = this.heldEvents;
+        this.resumePending = false;
+        this.heldEvents = [];
+        held.forEach(data => this.handleMessage(data));
+    }
+
+    /**
+     * Send a message over the WebSocket if it is open
+     * @returns {boolean} True if sent
+     */
+    sendMessage(message) {
+        if (!this.ws || this.ws.readyState !== 1) {
+            return false;
+        }
+        this.ws.send(JSON.stringify(message));
+        return true;
+    }
+
+    /**
+     * Send the current subscription to the server
+     */
+    sendSubscription() {
+        return this.sendMessage({
+            type: 'subscribe',
+            channels: this.subscription.channels,
+            nodeIds: this.subscription.nodeIds
+        });
+    }
+
+    /**
+     * Subscribe to live feed channels
+     * @param {Array<string>} channels - sovereignty, wallet, nodes, logs
+     * @param {Object} options - { nodeIds } to only receive logs from these nodes (null for all)
+     */
+    subscribe(channels, options = {}) {
+        this.subscription.channels = [...new Set([...this.subscription.channels, ...channels])];
+        if (options.nodeIds !== undefined) {
+            this.subscription.nodeIds = options.nodeIds;
+        }
+        return this.sendSubscription();
+    }
+
+    /**
+     * Unsubscribe from live feed channels
+     * @param {Array<string>} channels - Channels to drop
+     */
+    unsubscribe(channels) {
+        this.subscription.channels = this.subscription.channels.filter(c => !channels.includes(c));
+        return this.sendMessage({ type: 'unsubscribe', channels });
+    }
+
+    /**
+     * Reconnect delay for an attempt: capped exponential backoff with full jitter
+     * @param {number} attempt - 1 for the first retry
+     * @returns {number} Delay in milliseconds
+     */
+    getReconnectDelay(attempt) {
+        const ceiling = Math.min(this.maxReconnectDelay, this.reconnectDelay * Math.pow(2, attempt - 1));
+        return Math.floor(Math.random() * ceiling);
+    }
+
+    /**
+     * Schedule the next reconnect (or wait for the network to come back)
      */
     attemptReconnect() {
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            console.error('[APIService] Max reconnection attempts reached');
-            this.emit('reconnect_failed', { attempts: this.reconnectAttempts });
+        if (this.connectionState === 'closed') return;
+        
+        this.clearReconnectTimer();
+        
+        if (!this.isOnline()) {
+            this.setConnectionState('offline');
             return;
         }
 
         this.reconnectAttempts++;
-        const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1);
+        const delay = this.getReconnectDelay(this.reconnectAttempts);
+        this.nextRetryAt = Date.now() + delay;
         
-        console.log(`[APIService] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+        this.logger.info('Reconnect scheduled', { delay, attempt: this.reconnectAttempts });
+        this.setConnectionState('backing-off');
         
-        setTimeout(() => {
-            this.initWebSocket();
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.reconnect();
         }, delay);
     }
 
     /**
-     * Fetch sovereignty status from API
+     * Skip the remaining backoff and connect now
      */
-    async fetchSovereigntyStatus() {
+    reconnectNow() {
+        if (this.connectionState !== 'backing-off' && this.connectionState !== 'offline') return;
+        this.reconnect();
+    }
+
+    /**
+     * Cancel a scheduled reconnect
+     */
+    clearReconnectTimer() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.nextRetryAt = null;
+    }
+
+    /**
+     * Follow the browser's online/offline and visibility events
+     */
+    attachNetworkListeners() {
+        if (this.networkHandlers || typeof window === 'undefined' || !window.addEventListener) return;
+        
+        this.networkHandlers = {
+            online: () => this.reconnectNow(),
+            offline: () => this.handleOffline(),
+            visibilitychange: () => {
+                if (document.visibilityState === 'visible') {
+                    this.reconnectNow();
+                }
+            }
+        };
+        
+        window.addEventListener('online', this.networkHandlers.online);
+        window.addEventListener('offline', this.networkHandlers.offline);
+        document.addEventListener('visibilitychange', this.networkHandlers.visibilitychange);
+    }
+
+    /**
+     * Remove the browser event listeners
+     */
+    detachNetworkListeners() {
+        if (!this.networkHandlers) return;
+        
+        window.removeEventListener('online', this.networkHandlers.online);
+        window.removeEventListener('offline', this.networkHandlers.offline);
+        document.removeEventListener('visibilitychange', this.networkHandlers.visibilitychange);
+        this.networkHandlers = null;
+    }
+
+    /**
+     * Network went away: stop retrying until it is back
+     */
+    handleOffline() {
+        if (this.connectionState === 'idle' || this.connectionState === 'closed') return;
+        
+        this.clearReconnectTimer();
+        this.setConnectionState('offline');
+        
+        // The socket may linger half-open; drop it so the online event starts fresh
+        if (this.ws) {
+            const socket = this.ws;
+            this.ws = null;
+            socket.close();
+            this.emit('disconnected', { timestamp: Date.now() });
+        }
+    }
+
+    /**
+     * Perform a JSON request with timeout, retries and cancellation
+     * @param {string} path - Path below baseURL
+     * @param {Object} options - method, headers, body, signal (caller AbortSignal),
+     *   timeout (ms per attempt), retries, idempotent (defaults from the method),
+     *   requestId (X-Request-ID correlation ID; generated if omitted), logger (for retry warnings)
+     * @returns {Promise<Object>} Parsed JSON body
+     * @throws {Error} With `requestId`, plus `status`, `timedOut` or `aborted` when applicable
+     */
+    async request(path, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const idempotent = options.idempotent !== undefined
+            ? options.idempotent
+            : ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'].includes(method);
+        const retries = options.retries !== undefined ? options.retries : this.retry.retries;
+        const logger = options.logger || this.logger;
+        // Correlation ID: the same on every attempt, echoed in the server's request log
+        const requestId = options.requestId || this.createId();
+        const attemptOptions = { ...options, headers: { 'X-Request-ID': requestId, ...options.headers } };
+
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            try {
+                return await this.attemptRequest(path, method, attemptOptions);
+            } catch (caught) {
+                error = caught;
+                error.requestId = requestId;
+            }
+
+            const delay = this.getRetryDelay(error, attempt + 1, idempotent);
+            if (error.aborted || attempt >= retries || delay === null) {
+                throw error;
+            }
+
+            logger.warn('Request failed; retrying', { method, path, error: error.message, delay, requestId });
+            await this.sleep(delay, options.signal);
+        }
+    }
+
+    /**
+     * Single request attempt bounded by the timeout and the caller's signal
+     */
+    async attemptRequest(path, method, options) {
+        const { signal } = options;
+        if (signal && signal.aborted) {
+            throw this.createAbortError();
+        }
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, options.timeout || this.timeout);
+        const onAbort = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
         try {
-            const response = await fetch(`${this.baseURL}/api/sovereignty/status`);
+            const response = await fetch(`${this.baseURL}${path}`, {
+                method,
+                headers: { ...this.getAuthHeaders(), ...options.headers },
+                body: options.body,
+                signal: controller.signal
+            });
+
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                const error = new Error(`HTTP error! status: ${response.status}`);
+                error.status = response.status;
+                error.retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+                throw error;
             }
+
+            // The body is read inside the timeout too; a stalled stream counts as a hang
             return await response.json();
         } catch (error) {
-            console.error('[APIService] Failed to fetch sovereignty status:', error);
-            // Return mock data for offline mode
-            return this.getMockSovereigntyData();
+            if (timedOut) {
+                const timeoutError = new Error(`Request timed out after ${options.timeout || this.timeout}ms`);
+                timeoutError.timedOut = true;
+                throw timeoutError;
+            }
+            if (signal && signal.aborted) {
+                throw this.createAbortError();
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
         }
     }
 
     /**
-     * Fetch wallet balance
+     * Decide whether and when to retry a failed attempt
+     * Idempotent requests retry on network errors, timeouts, 408, 425, 429 and 5xx
+     * gateway/availability errors. Other requests only retry 429 and 503, where the
+     * server did not act on them.
+     * @param {Error} error - Failure from attemptRequest
+     * @param {number} attempt - 1 for the first retry
+     * @param {boolean} idempotent - Whether repeating the request is safe
+     * @returns {number|null} Delay in milliseconds, or null to give up
+     */
+    getRetryDelay(error, attempt, idempotent) {
+        const status = error.status;
+        let retryable;
+
+        if (status === undefined) {
+            retryable = idempotent;
+        } else if (status === 429 || status === 503) {
+            retryable = true;
+        } else {
+            retryable = idempotent && [408, 425, 500, 502, 504].includes(status);
+        }
+
+        if (!retryable) {
+            return null;
+        }
+
+        if (error.retryAfter !== null && error.retryAfter !== undefined) {
+            return error.retryAfter <= this.retry.maxRetryAfter ? error.retryAfter : null;
+        }
+
+        const ceiling = Math.min(this.retry.maxDelay, this.retry.baseDelay * Math.pow(2, attempt - 1));
+        return Math.floor(Math.random() * ceiling);
+    }
+
+    /**
+     * Parse a Retry-After header (delay in seconds or an HTTP date)
+     * @returns {number|null} Delay in milliseconds
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Wait between retries; rejects early when the caller aborts
+     */
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createAbortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Error thrown when the caller cancels a request
+     */
+    createAbortError() {
+        const error = new Error('Request aborted');
+        error.name = 'AbortError';
+        error.aborted = true;
+        return error;
+    }
+
+    /**
+     * Whether the page is served from a local development host
      */
-    async fetchWalletBalance() {
+    isDevelopmentHost() {
+        return typeof location !== 'undefined' && ['localhost', '127.0.0.1', '[::1]'].includes(location.hostname);
+    }
+
+    /**
+     * Attach provenance to response data
+     * @param {Object} data - Response body
+     * @param {string} source - 'live', 'cached' or 'mock'
+     * @param {number} timestamp - When the data was fetched from the server (or generated)
+     * @param {Error} error - Failure that caused a fallback
+     * @returns {Object} Data with a `provenance` field
+     */
+    tagResponse(data, source, timestamp, error = null) {
+        return {
+            ...data,
+            provenance: { source, timestamp, error: error ? error.message : null }
+        };
+    }
+
+    /**
+     * Fetch a read endpoint, falling back to the last live response or (if enabled) mock data
+     * @param {string} path - Request path (the cache key)
+     * @param {string} label - What is being fetched, for logging
+     * @param {Function} getMockData - Mock data generator
+     * @param {Object} requestOptions - { signal, timeout, retries }
+     * @param {boolean} persist - Save live responses as snapshots for offline starts
+     * @returns {Promise<Object>} Tagged data
+     * @throws {Error} When the request fails and there is nothing to fall back to
+     */
+    async fetchWithFallback(path, label, getMockData, requestOptions = {}, persist = true) {
         try {
-            const response = await fetch(`${this.baseURL}/api/wallet/balance`);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            const data = this.tagResponse(await this.request(path, requestOptions), 'live', Date.now());
+            // Keep the most recently used paths; log queries with time ranges are rarely repeated
+            this.lastGood.delete(path);
+            this.lastGood.set(path, data);
+            if (this.lastGood.size > 50) {
+                this.lastGood.delete(this.lastGood.keys().next().value);
             }
-            return await response.json();
+            if (persist) {
+                this.snapshotStore.putSnapshot(path, data, data.provenance.timestamp).catch(error => {
+                    this.logger.warn('Failed to save snapshot', { path, error: error.message });
+                });
+            }
+            return data;
         } catch (error) {
-            console.error('[APIService] Failed to fetch wallet balance:', error);
-            return this.getMockWalletData();
+            if (error.aborted) throw error;
+            this.logger.error(`Failed to fetch ${label}`, { error: error.message, requestId: error.requestId });
+            return this.getFallback(path, error, getMockData);
         }
     }
 
     /**
-     * Fetch node statuses
+     * Data to show after a failed request: the last live response (from this session or
+     * a stored snapshot), else mock data if enabled
+     * @throws {Error} The original error when none is available
+     */
+    async getFallback(path, error, getMockData) {
+        const cached = this.lastGood.get(path) || await this.loadSnapshot(path);
+        if (cached) {
+            return this.tagResponse(cached, 'cached', cached.provenance.timestamp, error);
+        }
+        if (this.mockFallback) {
+            return this.tagResponse(getMockData.call(this), 'mock', Date.now(), error);
+        }
+        throw error;
+    }
+
+    /**
+     * Read a stored snapshot; storage failures count as no snapshot
+     * @returns {Promise<Object|null>} Tagged data from the last live response
      */
-    async fetchNodeStatuses() {
+    async loadSnapshot(path) {
         try {
-            const response = await fetch(`${this.baseURL}/api/nodes/status`);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            return await response.json();
+            const record = await this.snapshotStore.getSnapshot(path);
+            return record ? record.data : null;
         } catch (error) {
-            console.error('[APIService] Failed to fetch node statuses:', error);
-            return this.getMockNodeData();
+            this.logger.warn('Failed to read snapshot', { path, error: error.message });
+            return null;
         }
     }
 
+    /**
+     * Fetch sovereignty status from API
+     * @param {Object} requestOptions - { signal, timeout, retries }
+     */
+    async fetchSovereigntyStatus(requestOptions = {}) {
+        return this.fetchWithFallback('/api/sovereignty/status', 'sovereignty status',
+            this.getMockSovereigntyData, requestOptions);
+    }
+
+    /**
+     * Fetch wallet balance
+     * @param {Object} requestOptions - { signal, timeout, retries }
+     */
+    async fetchWalletBalance(requestOptions = {}) {
+        return this.fetchWithFallback('/api/wallet/balance', 'wallet balance',
+            this.getMockWalletData, requestOptions);
+    }
+
+    /**
+     * Fetch node statuses
+     * @param {Object} requestOptions - { signal, timeout, retries }
+     */
+    async fetchNodeStatuses(requestOptions = {}) {
+        return this.fetchWithFallback('/api/nodes/status', 'node statuses',
+            this.getMockNodeData, requestOptions);
+    }
+
     /**
      * Fetch system logs
+     * @param {Object} options - limit, offset, cursor, sort ('asc'|'desc'), level (string or array),
+     *   nodeId, sessionId, from, to (ms or Date), q (substring), regex
+     * @param {Object} requestOptions - { signal, timeout, retries }
      */
-    async fetchLogs(options = {}) {
-        const { limit = 50, offset = 0 } = options;
-        try {
-            const response = await fetch(`${this.baseURL}/api/logs?limit=${limit}&offset=${offset}`);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+    async fetchLogs(options = {}, requestOptions = {}) {
+        const params = new URLSearchParams({ limit: 50, offset: 0 });
+        Object.entries(options).forEach(([key, value]) => {
+            if (value === undefined || value === null || value === '') return;
+            if (Array.isArray(value)) {
+                params.set(key, value.join(','));
+            } else if (value instanceof Date) {
+                params.set(key, value.getTime());
+            } else {
+                params.set(key, value);
             }
-            return await response.json();
+        });
+
+        // Backfill windows and cursor pages are not worth keeping for offline starts
+        const persist = !options.from && !options.to && !options.cursor;
+        return this.fetchWithFallback(`/api/logs?${params}`, 'logs', this.getMockLogData, requestOptions, persist);
+    }
+
+    /**
+     * Fetch the client logging configuration ({ level, levels, expiresAt, ttl })
+     * No fallback: callers keep their defaults when it is unavailable.
+     * @param {Object} requestOptions - { signal, timeout, retries }
+     */
+    async fetchLoggingConfig(requestOptions = {}) {
+        return this.request('/api/config/logging', requestOptions);
+    }
+
+    /**
+     * Send log entries to the distributed logging system
+     * Every entry gets an idempotency key before the first attempt, so the server drops
+     * repeats of entries it already stored. Entries the server rejects are dropped one by
+     * one; entries that fail to send go to the outbox.
+     * @param {Object} logEntry - A single entry or a batch { entries: [...] }
+     */
+    async sendLog(logEntry, requestOptions = {}) {
+        const entries = this.withIdempotencyKeys(Array.isArray(logEntry.entries) ? logEntry.entries : [logEntry]);
+
+        try {
+            this.dropRejectedLogs(await this.deliverLogs(entries, requestOptions));
         } catch (error) {
-            console.error('[APIService] Failed to fetch logs:', error);
-            return this.getMockLogData();
+            this.deliveryLogger.warn('Failed to send logs; queued for retry', { error: error.message, count: entries.length });
+            // Queue for retry
+            await this.queueLogForRetry(entries);
         }
     }
 
     /**
-     * Send log entry to distributed logging system
+     * POST log entries, splitting batches the server finds too large
+     * The server stores the valid entries of a batch and reports the others by index;
+     * a 400 means none was valid.
+     * @returns {Promise<Array<Object>>} Rejected entries as { entry, reason }
+     * @throws {Error} If delivery failed and may be retried
      */
-    async sendLog(logEntry) {
+    async deliverLogs(entries, requestOptions = {}) {
         try {
-            const response = await fetch(`${this.baseURL}/api/logs`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    ...logEntry,
-                    timestamp: Date.now(),
-                    nodeId: this.getNodeId()
-                })
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            return await response.json();
+            const result = await this.postLogs(entries, requestOptions);
+            return ((result && result.rejected) || []).map(({ index, details }) => ({
+                entry: entries[index],
+                reason: details.map(d => d.message).join('; ')
+            }));
         } catch (error) {
-            console.error('[APIService] Failed to send log:', error);
-            // Queue for retry
-            this.queueLogForRetry(logEntry);
+            if (error.status === 413 && entries.length > 1) {
+                const half = Math.ceil(entries.length / 2);
+                const rejected = await this.deliverLogs(entries.slice(0, half), requestOptions);
+                return rejected.concat(await this.deliverLogs(entries.slice(half), requestOptions));
+            }
+            if (this.isRejectedLog(error)) {
+                return entries.map(entry => ({ entry, reason: error.message }));
+            }
+            throw error;
         }
     }
 
     /**
-     * Event listener management
+     * Report entries the server refused (retrying cannot help)
+     */
+    dropRejectedLogs(rejected) {
+        rejected.forEach(({ entry, reason }) => {
+            this.deliveryLogger.error('Server rejected a log entry, dropping it', {
+                idempotencyKey: entry.idempotencyKey,
+                level: entry.level,
+                reason
+            });
+        });
+    }
+
+    /**
+     * POST log entries; safe to repeat because every entry carries an idempotency key
+     * Messages are cut to maxLogMessageLength so long entries are not rejected.
+     * @returns {Promise<Object>} { received, duplicates, rejected: [{ index, details }] }
+     * @throws {Error} If the request fails
+     */
+    postLogs(entries, requestOptions = {}) {
+        return this.request('/api/logs', {
+            logger: this.deliveryLogger,
+            ...requestOptions,
+            method: 'POST',
+            idempotent: true,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                entries: entries.map(entry => ({
+                    nodeId: this.getNodeId(),
+                    ...entry,
+                    message: this.truncateLogMessage(entry.message)
+                }))
+            })
+        });
+    }
+
+    /**
+     * Cut a log message to the server limit, marking the cut with an ellipsis
      */
-    on(event, callback) {
-        if (!this.listeners.has(event)) {
-            this.listeners.set(event, []);
+    truncateLogMessage(message) {
+        if (typeof message !== 'string' || message.length <= this.maxLogMessageLength) {
+            return message;
         }
-        this.listeners.get(event).push(callback);
+        return `${message.substring(0, this.maxLogMessageLength - 1)}\u2026`;
     }
 
-    off(event, callback) {
-        if (!this.listeners.has(event)) return;
-        const callbacks = this.listeners.get(event);
-        const index = callbacks.indexOf(callback);
-        if (index > -1) {
-            callbacks.splice(index, 1);
+    /**
+     * Give entries without one an idempotency key
+     * @returns {Array<Object>} Entries with keys
+     */
+    withIdempotencyKeys(entries) {
+        return entries.map(entry => (entry.idempotencyKey ? entry : { ...entry, idempotencyKey: this.createId() }));
+    }
+
+    /**
+     * Random ID, used for idempotency keys and request correlation IDs
+     */
+    createId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
         }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 14)}`;
+    }
+
+    /**
+     * Whether the server refused the entries themselves (retrying cannot help)
+     */
+    isRejectedLog(error) {
+        return [400, 413, 422].includes(error.status);
+    }
+
+    /**
+     * Event listener management (event names and patterns are relative to the 'api' namespace)
+     * @returns {Function} Unsubscribe handle
+     */
+    on(event, callback, options) {
+        const unsubscribe = this.events.on(event, callback, options);
+        const handle = () => {
+            this.subscriptions.delete(handle);
+            unsubscribe();
+        };
+        this.subscriptions.add(handle);
+        return handle;
+    }
+
+    once(event, callback, options) {
+        return this.on(event, callback, { ...options, once: true });
+    }
+
+    off(event, callback) {
+        this.events.off(event, callback);
     }
 
     emit(event, data) {
-        if (!this.listeners.has(event)) return;
-        this.listeners.get(event).forEach(callback => {
-            try {
-                callback(data);
-            } catch (error) {
-                console.error(`[APIService] Error in ${event} listener:`, error);
-            }
-        });
+        this.events.emit(event, data);
     }
 
     /**
@@ -234,30 +1032,109 @@ class APIService {
     }
 
     /**
-     * Queue log for retry
+     * Put log entries in the outbox (snapshot store) and schedule delivery
+     * @param {Object|Array<Object>} logEntries - Entries with idempotency keys
      */
-    queueLogForRetry(logEntry) {
-        const queue = JSON.parse(localStorage.getItem('logQueue') || '[]');
-        queue.push(logEntry);
-        localStorage.setItem('logQueue', JSON.stringify(queue));
+    async queueLogForRetry(logEntries) {
+        try {
+            for (const entry of [].concat(logEntries)) {
+                await this.snapshotStore.enqueueLog(entry);
+            }
+        } catch (error) {
+            this.deliveryLogger.error('Failed to queue logs for retry', { error: error.message });
+        }
+        await this.scheduleLogQueue();
     }
 
     /**
-     * Process queued logs
+     * Deliver due outbox entries in batches, oldest first
+     * Entries the server rejects leave the outbox one by one, like in sendLog. A batch that
+     * fails to send and everything after it are pushed back with exponential backoff;
+     * the schedule is stored with the entries, so it carries over to the next session.
      */
     async processLogQueue() {
-        const queue = JSON.parse(localStorage.getItem('logQueue') || '[]');
-        if (queue.length === 0) return;
+        if (this.processingLogQueue) return;
+        this.processingLogQueue = true;
+
+        try {
+            const now = Date.now();
+            const due = (await this.snapshotStore.getQueuedLogs()).filter(record => record.nextAttemptAt <= now);
+
+            for (let i = 0; i < due.length; i += this.logRetry.batchSize) {
+                const batch = due.slice(i, i + this.logRetry.batchSize);
+                await this.assignQueuedKeys(batch);
 
-        for (const logEntry of queue) {
-            await this.sendLog(logEntry);
+                try {
+                    this.dropRejectedLogs(await this.deliverLogs(batch.map(record => record.entry)));
+                } catch (error) {
+                    this.deliveryLogger.warn('Queued log delivery failed; will retry later', { error: error.message });
+                    await this.deferQueuedLogs(due.slice(i));
+                    break;
+                }
+                // Every entry of the batch was either stored or rejected
+                await this.snapshotStore.removeQueuedLogs(batch.map(record => record.id));
+            }
+        } catch (error) {
+            this.deliveryLogger.error('Failed to process log queue', { error: error.message });
+        } finally {
+            this.processingLogQueue = false;
         }
-        
-        localStorage.setItem('logQueue', JSON.stringify([]));
+
+        await this.scheduleLogQueue();
     }
 
     /**
-     * Mock data generators for offline mode
+     * Key entries queued before idempotency keys existed, and persist the keys before sending
+     */
+    async assignQueuedKeys(records) {
+        const unkeyed = records.filter(record => !record.entry.idempotencyKey);
+        if (unkeyed.length === 0) return;
+
+        unkeyed.forEach(record => {
+            record.entry = { ...record.entry, idempotencyKey: this.createId() };
+        });
+        await this.snapshotStore.updateQueuedLogs(unkeyed);
+    }
+
+    /**
+     * Push queued entries back after a failed attempt (capped exponential backoff, full jitter)
+     */
+    async deferQueuedLogs(records) {
+        records.forEach(record => {
+            record.attempts++;
+            const ceiling = Math.min(this.logRetry.maxDelay, this.logRetry.baseDelay * Math.pow(2, record.attempts - 1));
+            record.nextAttemptAt = Date.now() + Math.floor(Math.random() * ceiling);
+        });
+        await this.snapshotStore.updateQueuedLogs(records);
+    }
+
+    /**
+     * Wake up when the earliest queued entry is due
+     */
+    async scheduleLogQueue() {
+        if (this.processingLogQueue || this.stopped) return;
+
+        let queued;
+        try {
+            queued = await this.snapshotStore.getQueuedLogs();
+        } catch (error) {
+            return;
+        }
+
+        clearTimeout(this.logQueueTimer);
+        this.logQueueTimer = null;
+        if (queued.length === 0) return;
+
+        // At least baseDelay, so a broken store cannot spin
+        const nextAttemptAt = Math.min(...queued.map(record => record.nextAttemptAt));
+        this.logQueueTimer = setTimeout(() => {
+            this.logQueueTimer = null;
+            this.processLogQueue();
+        }, Math.max(this.logRetry.baseDelay, nextAttemptAt - Date.now()));
+    }
+
+    /**
+     * Mock data generators for offline mode (only used when mockFallback is enabled)
      */
     getMockSovereigntyData() {
         return {
@@ -305,11 +1182,19 @@ class APIService {
      * Cleanup
      */
     disconnect() {
+        this.clearReconnectTimer();
+        clearTimeout(this.logQueueTimer);
+        this.logQueueTimer = null;
+        this.detachNetworkListeners();
+        this.stopped = true;
+        this.setConnectionState('closed');
+        
         if (this.ws) {
-            this.ws.close();
+            const socket = this.ws;
             this.ws = null;
+            socket.close();
         }
-        this.listeners.clear();
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
     }
 }
 
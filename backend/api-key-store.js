@@ -0,0 +1,239 @@
+/**
+ * API Key Store for Resonance School Live Terminal
+ *
+ * @license MIT
+ * @description Pluggable API key storage with hashed keys, scopes, expiry and rotation
+ */
+
+const crypto = require('crypto');
+const { resolveDataPath, readJson, writeJsonAtomic } = require('./json-file-store');
+
+const KEY_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const KEY_LENGTH = 64;
+
+// How long a rotated key keeps working (default 24 hours)
+const ROTATION_GRACE_MS = parseInt(process.env.API_KEY_ROTATION_GRACE_MS) || 24 * 60 * 60 * 1000;
+
+// Usage stats (lastUsed, usageCount) are written at most this often (default 5 seconds)
+const USAGE_FLUSH_MS = parseInt(process.env.API_KEY_USAGE_FLUSH_MS) || 5000;
+
+/**
+ * Generate a random API key from the CSPRNG
+ * @returns {string} 64-character alphanumeric key
+ */
+function generateKey() {
+    let key = '';
+    for (let i = 0; i < KEY_LENGTH; i++) {
+        key += KEY_ALPHABET.charAt(crypto.randomInt(KEY_ALPHABET.length));
+    }
+    return key;
+}
+
+/**
+ * Hash an API key for storage/lookup
+ * @param {string} key - Plaintext key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * In-memory API key store
+ *
+ * Subclasses only need to override persist() (and load existing records in
+ * their constructor) to store keys elsewhere. Key changes are persisted right
+ * away; usage stats from verify() are batched and written by flush().
+ */
+class MemoryApiKeyStore {
+    constructor(options = {}) {
+        this.records = {};
+        this.rotationGrace = options.rotationGrace || ROTATION_GRACE_MS;
+        this.flushDelay = options.flushDelay || USAGE_FLUSH_MS;
+        this.flushTimer = null;
+    }
+
+    /**
+     * Persist records (no-op in memory)
+     */
+    persist() {}
+
+    /**
+     * Persist records after `flushDelay`, once for any number of changes in between
+     */
+    persistSoon() {
+        if (this.flushTimer) {
+            return;
+        }
+        this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+        this.flushTimer.unref();
+    }
+
+    /**
+     * Write pending usage stats now (call on shutdown)
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.persist();
+    }
+
+    /**
+     * Create a new API key
+     * @param {Object} options - { name, scopes, expiresAt }
+     * @returns {Object} Public record plus the plaintext key (only returned here)
+     */
+    create(options = {}) {
+        const key = generateKey();
+        const record = {
+            id: `key_${crypto.randomBytes(8).toString('hex')}`,
+            name: options.name || 'Unnamed Key',
+            hash: hashKey(key),
+            prefix: key.slice(0, 8),
+            scopes: options.scopes || [],
+            created: Date.now(),
+            expiresAt: options.expiresAt || null,
+            revoked: false,
+            revokedAt: null,
+            rotatedTo: null,
+            graceUntil: null,
+            lastUsed: null,
+            usageCount: 0
+        };
+
+        this.records[record.id] = record;
+        this.persist();
+
+        return { ...this.toPublic(record), key };
+    }
+
+    /**
+     * Find a record by ID
+     * @param {string} id - Key ID
+     * @returns {Object|null} Stored record
+     */
+    get(id) {
+        return Object.prototype.hasOwnProperty.call(this.records, id) ? this.records[id] : null;
+    }
+
+    /**
+     * Verify a plaintext key and record its usage
+     * @param {string} key - Plaintext key
+     * @returns {Object} { valid, record, reason }
+     */
+    verify(key) {
+        if (typeof key !== 'string' || key.length !== KEY_LENGTH) {
+            return { valid: false, record: null, reason: 'Invalid API key' };
+        }
+
+        const hash = hashKey(key);
+        const record = Object.values(this.records).find(r => r.hash === hash);
+        const now = Date.now();
+
+        if (!record) {
+            return { valid: false, record: null, reason: 'Invalid API key' };
+        }
+        if (record.revoked) {
+            return { valid: false, record, reason: 'API key has been revoked' };
+        }
+        if (record.expiresAt && now > record.expiresAt) {
+            return { valid: false, record, reason: 'API key has expired' };
+        }
+        if (record.graceUntil && now > record.graceUntil) {
+            return { valid: false, record, reason: 'API key has been rotated' };
+        }
+
+        record.lastUsed = now;
+        record.usageCount++;
+        this.persistSoon();
+
+        return { valid: true, record, reason: null };
+    }
+
+    /**
+     * Rotate a key: issue a replacement and keep the old one valid for a grace period
+     * @param {string} id - Key ID
+     * @param {Object} options - { gracePeriod } in milliseconds
+     * @returns {Object|null} New key (with plaintext) and the old key's grace deadline
+     */
+    rotate(id, options = {}) {
+        const record = this.get(id);
+        if (!record || record.revoked) {
+            return null;
+        }
+
+        const lifetime = record.expiresAt ? record.expiresAt - record.created : null;
+        const replacement = this.create({
+            name: record.name,
+            scopes: record.scopes,
+            expiresAt: lifetime ? Date.now() + lifetime : null
+        });
+
+        const gracePeriod = options.gracePeriod !== undefined ? options.gracePeriod : this.rotationGrace;
+        record.rotatedTo = replacement.id;
+        record.graceUntil = Date.now() + gracePeriod;
+        this.persist();
+
+        return { ...replacement, previous: { id: record.id, graceUntil: record.graceUntil } };
+    }
+
+    /**
+     * Revoke a key immediately
+     * @param {string} id - Key ID
+     * @returns {Object|null} Public record
+     */
+    revoke(id) {
+        const record = this.get(id);
+        if (!record) {
+            return null;
+        }
+
+        record.revoked = true;
+        record.revokedAt = Date.now();
+        this.persist();
+
+        return this.toPublic(record);
+    }
+
+    /**
+     * List all keys (without hashes)
+     * @returns {Array} Public records
+     */
+    list() {
+        return Object.values(this.records).map(record => this.toPublic(record));
+    }
+
+    /**
+     * Strip the hash from a record
+     */
+    toPublic(record) {
+        const copy = { ...record };
+        delete copy.hash;
+        return copy;
+    }
+}
+
+/**
+ * JSON file API key store (default)
+ */
+class FileApiKeyStore extends MemoryApiKeyStore {
+    constructor(options = {}) {
+        super(options);
+        this.filePath = resolveDataPath(options.file || 'api-keys.json');
+        this.records = readJson(this.filePath, { keys: {} }).keys;
+    }
+
+    /**
+     * Write records to disk
+     */
+    persist() {
+        writeJsonAtomic(this.filePath, { keys: this.records });
+    }
+}
+
+module.exports = {
+    generateKey,
+    hashKey,
+    MemoryApiKeyStore,
+    FileApiKeyStore
+};
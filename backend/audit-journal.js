@@ -0,0 +1,156 @@
+/**
+ * Audit Journal for Resonance School Live Terminal
+ *
+ * @license MIT
+ * @description Append-only, hash-chained audit log on disk with query and verification
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { resolveDataPath, ensureDir, readJson, writeJsonAtomic } = require('./json-file-store');
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Compute the hash of an entry (everything except its own hash)
+ * @param {Object} body - Entry without the hash field
+ * @returns {string} SHA-256 hex digest
+ */
+function hashEntry(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * Hash-chained audit journal
+ *
+ * Every line of the JSONL journal carries the hash of the previous entry, so
+ * editing or removing any entry breaks the chain. A head checkpoint file
+ * records the latest sequence number and hash to catch truncated tails.
+ */
+class AuditJournal {
+    constructor(options = {}) {
+        this.filePath = resolveDataPath(options.file || 'audit.jsonl');
+        this.headPath = resolveDataPath(options.headFile || 'audit.head.json');
+        this.head = readJson(this.headPath, { seq: 0, hash: GENESIS_HASH });
+    }
+
+    /**
+     * Append an event to the journal
+     * @param {Object} event - Audit event details
+     * @returns {Object} Stored entry
+     */
+    append(event) {
+        const body = JSON.parse(JSON.stringify({
+            timestamp: Date.now(),
+            ...event,
+            seq: this.head.seq + 1,
+            prevHash: this.head.hash
+        }));
+        const entry = { ...body, hash: hashEntry(body) };
+
+        ensureDir(this.filePath);
+        fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+
+        this.head = { seq: entry.seq, hash: entry.hash };
+        writeJsonAtomic(this.headPath, this.head);
+
+        return entry;
+    }
+
+    /**
+     * Read all journal lines
+     * @returns {Array<string>} Raw lines
+     */
+    readLines() {
+        try {
+            return fs.readFileSync(this.filePath, 'utf8').split('\n').filter(line => line.length > 0);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Query entries
+     * @param {Object} filters - { operation, user, from, to, limit }
+     * @returns {Array} Matching entries, oldest first (the most recent `limit` matches)
+     */
+    query(filters = {}) {
+        const { operation, user, from, to, limit = 100 } = filters;
+        const matches = [];
+
+        this.readLines().forEach(line => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                return;
+            }
+
+            if (operation && entry.operation !== operation) return;
+            if (user && entry.user !== user) return;
+            if (from && entry.timestamp < from) return;
+            if (to && entry.timestamp > to) return;
+
+            matches.push(entry);
+        });
+
+        return matches.slice(-limit);
+    }
+
+    /**
+     * Verify the hash chain
+     * @returns {Object} { valid, entries, errors }
+     */
+    verify() {
+        const errors = [];
+        let prevHash = GENESIS_HASH;
+        let expectedSeq = 1;
+        const lines = this.readLines();
+
+        lines.forEach((line, index) => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                errors.push({ line: index + 1, reason: 'Unparseable entry' });
+                return;
+            }
+
+            const { hash, ...body } = entry;
+
+            if (entry.seq !== expectedSeq) {
+                errors.push({ line: index + 1, seq: entry.seq, reason: `Expected seq ${expectedSeq}` });
+            }
+            if (entry.prevHash !== prevHash) {
+                errors.push({ line: index + 1, seq: entry.seq, reason: 'Chain broken: previous hash mismatch' });
+            }
+            if (hashEntry(body) !== hash) {
+                errors.push({ line: index + 1, seq: entry.seq, reason: 'Entry modified: hash mismatch' });
+            }
+
+            prevHash = hash;
+            expectedSeq = entry.seq + 1;
+        });
+
+        const head = readJson(this.headPath, { seq: 0, hash: GENESIS_HASH });
+        if (head.seq !== expectedSeq - 1 || head.hash !== prevHash) {
+            errors.push({ seq: head.seq, reason: 'Journal does not end at the recorded head' });
+        }
+
+        return {
+            valid: errors.length === 0,
+            entries: lines.length,
+            head,
+            errors
+        };
+    }
+}
+
+module.exports = {
+    GENESIS_HASH,
+    AuditJournal
+};
@@ -0,0 +1,336 @@
+/**
+ * Authentication Store for Resonance School Live Terminal
+ *
+ * @license MIT
+ * @description File-backed user store with scrypt password hashing and rotating refresh tokens
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { resolveDataPath, readJson, writeJsonAtomic } = require('./json-file-store');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Password hashing parameters
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+
+// Refresh token lifetime (default 7 days)
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.REFRESH_TOKEN_TTL_MS) || 7 * 24 * 60 * 60 * 1000;
+
+// ==================== Password Hashing ====================
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} Encoded hash (scrypt$N$r$p$salt$hash)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const derived = await scrypt(password, salt, SCRYPT_KEYLEN, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${derived.toString('base64')}`;
+}
+
+/**
+ * Verify a password against an encoded hash
+ * @param {string} password - Plaintext password
+ * @param {string} encoded - Encoded hash from hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, encoded) {
+    const parts = typeof encoded === 'string' ? encoded.split('$') : [];
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+        return false;
+    }
+
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, 'base64');
+    const derived = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: parseInt(N),
+        r: parseInt(r),
+        p: parseInt(p)
+    });
+
+    return crypto.timingSafeEqual(derived, expected);
+}
+
+/**
+ * SHA-256 digest helper
+ * @param {string} value - Value to hash
+ * @returns {string} Hex digest
+ */
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// ==================== User Store ====================
+
+/**
+ * File-backed user store
+ */
+class UserStore {
+    constructor(options = {}) {
+        this.filePath = resolveDataPath(options.file || 'users.json');
+        this.users = readJson(this.filePath, { users: {} }).users;
+        // Hash used for unknown users so failed lookups cost as much as real checks
+        this.dummyHash = null;
+    }
+
+    /**
+     * Persist users to disk
+     */
+    save() {
+        writeJsonAtomic(this.filePath, { users: this.users });
+    }
+
+    /**
+     * Create a user
+     * @param {string} username - Username
+     * @param {string} password - Plaintext password
+     * @param {Object} options - { role }
+     * @returns {Promise<Object>} Public user record
+     */
+    async createUser(username, password, options = {}) {
+        if (this.getUser(username)) {
+            throw new Error(`User ${username} already exists`);
+        }
+
+        this.users[username] = {
+            username,
+            passwordHash: await hashPassword(password),
+            role: options.role || 'viewer',
+            disabled: false,
+            created: Date.now()
+        };
+        this.save();
+
+        return this.toPublic(this.users[username]);
+    }
+
+    /**
+     * Check username/password credentials
+     * @param {string} username - Username
+     * @param {string} password - Plaintext password
+     * @returns {Promise<Object|null>} Public user record or null
+     */
+    async verifyCredentials(username, password) {
+        const user = Object.prototype.hasOwnProperty.call(this.users, username)
+            ? this.users[username]
+            : null;
+
+        if (!user) {
+            if (!this.dummyHash) {
+                this.dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+            }
+            await verifyPassword(password, this.dummyHash);
+            return null;
+        }
+
+        const valid = await verifyPassword(password, user.passwordHash);
+        if (!valid || user.disabled) {
+            return null;
+        }
+
+        return this.toPublic(user);
+    }
+
+    /**
+     * Get a user by username
+     * @param {string} username - Username
+     * @returns {Object|null} Public user record
+     */
+    getUser(username) {
+        const user = Object.prototype.hasOwnProperty.call(this.users, username)
+            ? this.users[username]
+            : null;
+        return user ? this.toPublic(user) : null;
+    }
+
+    /**
+     * Number of stored users
+     */
+    count() {
+        return Object.keys(this.users).length;
+    }
+
+    /**
+     * Strip secrets from a user record
+     */
+    toPublic(user) {
+        return {
+            username: user.username,
+            role: user.role,
+            disabled: user.disabled,
+            created: user.created
+        };
+    }
+}
+
+// ==================== Refresh Token Store ====================
+
+/**
+ * File-backed refresh token store with rotation and reuse detection
+ *
+ * Tokens have the form `<id>.<secret>`; only the SHA-256 of the secret is stored.
+ * Every refresh rotates the token within its family. Presenting an already
+ * rotated token revokes the whole family.
+ */
+class RefreshTokenStore {
+    constructor(options = {}) {
+        this.filePath = resolveDataPath(options.file || 'refresh-tokens.json');
+        this.ttl = options.ttl || REFRESH_TOKEN_TTL_MS;
+        this.tokens = readJson(this.filePath, { tokens: {} }).tokens;
+    }
+
+    /**
+     * Persist tokens to disk
+     */
+    save() {
+        writeJsonAtomic(this.filePath, { tokens: this.tokens });
+    }
+
+    /**
+     * Issue a new refresh token
+     * @param {string} username - Token owner
+     * @param {string} familyId - Rotation family (new family if omitted)
+     * @returns {Object} { token, expiresAt }
+     */
+    issue(username, familyId = crypto.randomBytes(12).toString('hex')) {
+        this.prune();
+
+        const id = crypto.randomBytes(12).toString('hex');
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = Date.now() + this.ttl;
+
+        this.tokens[id] = {
+            hash: sha256(secret),
+            username,
+            familyId,
+            created: Date.now(),
+            expiresAt,
+            replacedBy: null,
+            revoked: false
+        };
+        this.save();
+
+        return { token: `${id}.${secret}`, expiresAt };
+    }
+
+    /**
+     * Look up a token record and check its secret
+     * @param {string} token - Refresh token
+     * @returns {Object|null} { id, record }
+     */
+    find(token) {
+        if (typeof token !== 'string') {
+            return null;
+        }
+
+        const [id, secret] = token.split('.');
+        const record = id && secret && Object.prototype.hasOwnProperty.call(this.tokens, id)
+            ? this.tokens[id]
+            : null;
+
+        if (!record) {
+            return null;
+        }
+
+        const expected = Buffer.from(record.hash, 'hex');
+        const actual = Buffer.from(sha256(secret), 'hex');
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        return { id, record };
+    }
+
+    /**
+     * Rotate a refresh token
+     * @param {string} token - Current refresh token
+     * @returns {Object} { username, token, expiresAt }
+     * @throws {Error} If the token is invalid, expired, revoked or reused
+     */
+    rotate(token) {
+        const found = this.find(token);
+        if (!found) {
+            throw new Error('Invalid refresh token');
+        }
+
+        const { record } = found;
+
+        if (record.revoked) {
+            throw new Error('Refresh token has been revoked');
+        }
+
+        if (record.replacedBy) {
+            // Token reuse: someone holds a stale copy, kill the whole session
+            this.revokeFamily(record.familyId);
+            throw new Error('Refresh token reuse detected; session revoked');
+        }
+
+        if (Date.now() > record.expiresAt) {
+            throw new Error('Refresh token expired');
+        }
+
+        const next = this.issue(record.username, record.familyId);
+        record.replacedBy = next.token.split('.')[0];
+        this.save();
+
+        return { username: record.username, ...next };
+    }
+
+    /**
+     * Revoke the family a token belongs to
+     * @param {string} token - Refresh token
+     * @param {string} username - Only revoke if the token belongs to this user
+     * @returns {boolean} True if a session was revoked
+     */
+    revoke(token, username) {
+        const found = this.find(token);
+        if (!found || (username && found.record.username !== username)) {
+            return false;
+        }
+
+        this.revokeFamily(found.record.familyId);
+        return true;
+    }
+
+    /**
+     * Revoke every token in a family
+     * @param {string} familyId - Family ID
+     */
+    revokeFamily(familyId) {
+        Object.values(this.tokens).forEach(record => {
+            if (record.familyId === familyId) {
+                record.revoked = true;
+            }
+        });
+        this.save();
+    }
+
+    /**
+     * Remove expired tokens
+     * @returns {number} Number of removed tokens
+     */
+    prune() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [id, record] of Object.entries(this.tokens)) {
+            if (now > record.expiresAt) {
+                delete this.tokens[id];
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    UserStore,
+    RefreshTokenStore
+};
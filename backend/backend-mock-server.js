@@ -8,6 +8,7 @@
  * @features REST API, WebSocket real-time updates, mock data simulation
  */
 
+const http = require('http');
 const express = require('express');
 const WebSocket = require('ws');
 const cors = require('cors');
@@ -15,12 +16,64 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 const path = require('path');
+const crypto = require('crypto');
+const {
+    generateAccessToken,
+    authenticateToken,
+    optionalAuth,
+    requirePermission,
+    authRateLimiter,
+    revokeToken,
+    getApiKeyStore,
+    authenticateCredentials,
+    hasPermission,
+    schemas,
+    validate,
+    compileSearchRegex,
+    recordBodySize,
+    requestId,
+    requestPipeline,
+    checkPayload,
+    bodyParserErrorHandler,
+    errorHandler,
+    logAudit,
+    getAuditLogs,
+    verifyAuditLog
+} = require('./security-middleware');
+const { UserStore, RefreshTokenStore } = require('./auth-store');
+const { createLogStore } = require('./log-store');
+const { cache, cacheMiddleware, invalidateCache, invalidateOnWrite } = require('./cache-strategy');
+const { WebSocketHub, CLOSE_CODES, selectProtocol, attachUpgradeRouter } = require('./websocket-hub');
+const LogRedactor = require('../log-redactor');
+const { getEnvironmentManager } = require('../config/environment-manager');
 
 // Server configuration
 const PORT = process.env.PORT || 3000;
 const WS_PORT = process.env.WS_PORT || 3001;
+// Legacy mode: also serve the live feed on its own port (WS_PORT) next to /ws on PORT
+const WS_DUAL_PORT = process.env.WS_DUAL_PORT === 'true';
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// Response cache TTLs per read route (seconds)
+const CACHE_TTLS = {
+    sovereignty: parseInt(process.env.CACHE_TTL_SOVEREIGNTY) || 30,
+    stats: parseInt(process.env.CACHE_TTL_STATS) || 10
+};
+
+// Regex searches on GET /api/logs only look at this many of the newest entries,
+// and stop after this many milliseconds
+const REGEX_SCAN_LIMIT = parseInt(process.env.LOG_REGEX_SCAN_LIMIT) || 5000;
+const REGEX_TIME_LIMIT = parseInt(process.env.LOG_REGEX_TIME_LIMIT) || 200;
+
+// Client logging defaults (config `logging`, LOG_LEVEL overrides the level)
+const LOGGING_CONFIG = getEnvironmentManager().get('logging');
+
+// Node status aggregation cache (milliseconds): fresh for ttl, then served stale while refreshing
+const NODE_STATUS_CACHE = {
+    ttl: parseInt(process.env.NODE_STATUS_TTL_MS) || 5000,
+    staleTtl: parseInt(process.env.NODE_STATUS_STALE_MS) || 30000
+};
+
 // Initialize Express app
 const app = express();
 
@@ -48,6 +101,7 @@ const corsOptions = {
     origin: NODE_ENV === 'production' 
         ? ['https://ipfs.io', 'https://gateway.ipfs.io'] 
         : '*',
+    exposedHeaders: ['X-Request-ID'],
     optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
@@ -55,14 +109,16 @@ app.use(cors(corsOptions));
 // Compression
 app.use(compression());
 
-// Body parsing
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Body parsing (routes tighten the size limit through their validation profile)
+const MAX_BODY_SIZE = process.env.MAX_BODY_SIZE || '1mb';
+app.use(express.json({ limit: MAX_BODY_SIZE, verify: recordBodySize }));
+app.use(express.urlencoded({ extended: true, limit: MAX_BODY_SIZE, verify: recordBodySize }));
 
-// Request logging
+// Request logging, tagged with the caller's correlation ID (X-Request-ID)
+app.use(requestId);
 app.use((req, res, next) => {
     const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${req.method} ${req.path}`);
+    console.log(`[${timestamp}] ${req.method} ${req.path} requestId=${req.id}`);
     next();
 });
 
@@ -74,6 +130,9 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Identify callers (JWT or X-API-Key); routes declare the permission they need
+app.use('/api/', optionalAuth);
+
 // Serve static files from parent directory
 app.use(express.static(path.join(__dirname, '..')));
 
@@ -122,32 +181,92 @@ function generateNodeStatus() {
 }
 
 /**
- * In-memory log storage
+ * Get node status through the shared cache
+ * Concurrent requests share one aggregation; expired values are served stale while it refreshes.
  */
-let systemLogs = [];
-let logIdCounter = 1;
+function getNodeStatus() {
+    return cache.getOrCompute('nodes:status', generateNodeStatus, NODE_STATUS_CACHE);
+}
+
+/**
+ * Log storage (LOG_STORE=file for append-only JSONL segments, memory for volatile)
+ */
+const logStore = createLogStore();
+
+/**
+ * Redaction for client-submitted entries; clients redact too, but older or
+ * third-party clients may not, so nothing reaches the store unscrubbed.
+ * The 'hash' strategy is keyed (HMAC-SHA256); without LOG_REDACTION_SECRET the key is
+ * random per process, so hashes only correlate until the next restart.
+ */
+const LOG_REDACTION_SECRET = process.env.LOG_REDACTION_SECRET || crypto.randomBytes(32).toString('hex');
+const logRedactor = new LogRedactor({
+    hash: text => crypto.createHmac('sha256', LOG_REDACTION_SECRET).update(text).digest('hex').slice(0, 16)
+});
 
 /**
  * Generate mock log entry
+ * @param {Object} origin - Client-supplied timestamp, nodeId and sessionId (server defaults otherwise)
  */
-function generateLogEntry(level = 'INFO', message = 'System operation', context = {}) {
-    const entry = {
-        id: logIdCounter++,
+function generateLogEntry(level = 'INFO', message = 'System operation', context = {}, origin = {}) {
+    return logStore.append({
         level,
         message,
         context,
-        timestamp: Date.now(),
-        nodeId: 'server_mock',
-        sessionId: 'session_' + Date.now()
-    };
-    systemLogs.push(entry);
+        timestamp: origin.timestamp || Date.now(),
+        nodeId: origin.nodeId || 'server_mock',
+        sessionId: origin.sessionId || `session_${Date.now()}`,
+        ...(origin.idempotencyKey && { idempotencyKey: origin.idempotencyKey })
+    });
+}
+
+/**
+ * Store client-submitted log entries (POST /api/logs and the WebSocket `log` command)
+ * Message and context are redacted; a retried delivery gets the stored entry back instead of logging it twice.
+ * @param {Array} entries - Validated entries
+ * @returns {Object} { logs, duplicates }
+ */
+function ingestLogEntries(entries) {
+    let duplicates = 0;
     
-    // Keep only last 1000 logs
-    if (systemLogs.length > 1000) {
-        systemLogs = systemLogs.slice(-1000);
-    }
+    const logs = entries.map(entry => {
+        const existing = entry.idempotencyKey && logStore.findByIdempotencyKey(entry.idempotencyKey);
+        if (existing) {
+            duplicates++;
+            return existing;
+        }
+        
+        const { message, context } = logRedactor.redactEntry(entry);
+        return generateLogEntry(
+            entry.level,
+            message,
+            context,
+            {
+                timestamp: entry.timestamp,
+                nodeId: entry.nodeId,
+                sessionId: entry.sessionId,
+                idempotencyKey: entry.idempotencyKey
+            }
+        );
+    });
     
-    return entry;
+    return { logs, duplicates };
+}
+
+/**
+ * Client log levels pushed by an operator to every live feed client: { levels, expiresAt, setBy }
+ * Kept so clients that start while it is active pick it up from GET /api/config/logging.
+ */
+let logLevelOverride = null;
+
+/**
+ * Active operator log level override, or null once it has expired
+ */
+function getLogLevelOverride() {
+    if (logLevelOverride && logLevelOverride.expiresAt <= Date.now()) {
+        logLevelOverride = null;
+    }
+    return logLevelOverride;
 }
 
 // Initialize with some sample logs
@@ -155,6 +274,50 @@ generateLogEntry('INFO', 'Mock server initialized');
 generateLogEntry('INFO', 'WebSocket server starting');
 generateLogEntry('DEBUG', 'Configuration loaded', { env: NODE_ENV });
 
+// ==================== Authentication ====================
+
+const userStore = new UserStore();
+const refreshTokens = new RefreshTokenStore();
+
+/**
+ * Create the bootstrap admin from AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD
+ * when the user store is empty
+ */
+async function bootstrapAdminUser() {
+    const username = process.env.AUTH_ADMIN_USERNAME;
+    const password = process.env.AUTH_ADMIN_PASSWORD;
+
+    if (!username || !password || userStore.count() > 0) {
+        return null;
+    }
+
+    const user = await userStore.createUser(username, password, { role: 'admin' });
+    console.log(`[Auth] Bootstrap admin user created: ${username}`);
+    return user;
+}
+
+bootstrapAdminUser().catch(error => {
+    console.error('[Auth] Failed to create bootstrap admin user:', error.message);
+});
+
+/**
+ * Build the token response for a user
+ * @param {Object} user - Public user record
+ * @param {Object} refresh - Refresh token ({ token, expiresAt }), a new session if omitted
+ */
+function issueTokens(user, refresh = refreshTokens.issue(user.username)) {
+    const access = generateAccessToken(user);
+
+    return {
+        accessToken: access.token,
+        tokenType: 'Bearer',
+        expiresIn: access.expiresIn,
+        refreshToken: refresh.token,
+        refreshExpiresAt: refresh.expiresAt,
+        user: { username: user.username, role: user.role }
+    };
+}
+
 // ==================== REST API Endpoints ====================
 
 /**
@@ -169,10 +332,173 @@ app.get('/health', (req, res) => {
     });
 });
 
+/**
+ * POST /api/auth/login - Exchange username/password for access and refresh tokens
+ */
+app.post('/api/auth/login', authRateLimiter, requestPipeline('login'), async (req, res) => {
+    const { username, password } = req.body;
+    
+    try {
+        const user = await userStore.verifyCredentials(username, password);
+        
+        if (!user) {
+            logAudit({ operation: 'auth.login_failed', user: username, ip: req.ip });
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Invalid username or password'
+            });
+        }
+        
+        logAudit({ operation: 'auth.login', user: username, ip: req.ip });
+        res.json(issueTokens(user));
+    } catch (error) {
+        console.error('[Auth] Login failed:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Login failed'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/refresh - Rotate a refresh token and issue a new access token
+ */
+app.post('/api/auth/refresh', authRateLimiter, requestPipeline('refreshToken'), (req, res) => {
+    let rotated;
+    try {
+        rotated = refreshTokens.rotate(req.body.refreshToken);
+    } catch (error) {
+        logAudit({ operation: 'auth.refresh_failed', reason: error.message, ip: req.ip });
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: error.message
+        });
+    }
+    
+    const user = userStore.getUser(rotated.username);
+    if (!user || user.disabled) {
+        refreshTokens.revoke(rotated.token);
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'User no longer exists'
+        });
+    }
+    
+    res.json(issueTokens(user, rotated));
+});
+
+/**
+ * POST /api/auth/logout - Revoke the current access token and refresh session
+ */
+app.post('/api/auth/logout', authenticateToken, requestPipeline('logout'), (req, res) => {
+    revokeToken(req.user);
+    const sessionRevoked = req.body.refreshToken
+        ? refreshTokens.revoke(req.body.refreshToken, req.user.username)
+        : false;
+    
+    logAudit({ operation: 'auth.logout', user: req.user.username, ip: req.ip });
+    
+    res.json({
+        success: true,
+        sessionRevoked
+    });
+});
+
+// ==================== API Key Administration ====================
+
+/**
+ * POST /api/admin/keys - Create a scoped API key (plaintext key is only returned once)
+ */
+app.post('/api/admin/keys', requirePermission('keys:manage'), requestPipeline('apiKeyCreate'), (req, res) => {
+    const { name, scopes, expiresIn } = req.body;
+    const created = getApiKeyStore().create({
+        name,
+        scopes,
+        expiresAt: expiresIn ? Date.now() + expiresIn : null
+    });
+    
+    logAudit({ operation: 'apikey.create', user: req.user.username, keyId: created.id, scopes });
+    res.status(201).json(created);
+});
+
+/**
+ * GET /api/admin/keys - List API keys (without secrets)
+ */
+app.get('/api/admin/keys', requirePermission('keys:manage'), (req, res) => {
+    res.json({
+        keys: getApiKeyStore().list()
+    });
+});
+
+/**
+ * POST /api/admin/keys/:id/rotate - Issue a replacement key; the old one works until its grace period ends
+ */
+app.post('/api/admin/keys/:id/rotate', requirePermission('keys:manage'), requestPipeline('apiKeyRotate'), (req, res) => {
+    const rotated = getApiKeyStore().rotate(req.params.id, { gracePeriod: req.body.gracePeriod });
+    
+    if (!rotated) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: `API key ${req.params.id} not found or revoked`
+        });
+    }
+    
+    logAudit({ operation: 'apikey.rotate', user: req.user.username, keyId: req.params.id, newKeyId: rotated.id });
+    res.status(201).json(rotated);
+});
+
+/**
+ * DELETE /api/admin/keys/:id - Revoke an API key immediately
+ */
+app.delete('/api/admin/keys/:id', requirePermission('keys:manage'), (req, res) => {
+    const revoked = getApiKeyStore().revoke(req.params.id);
+    
+    if (!revoked) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: `API key ${req.params.id} not found`
+        });
+    }
+    
+    logAudit({ operation: 'apikey.revoke', user: req.user.username, keyId: req.params.id });
+    res.json({
+        success: true,
+        key: revoked
+    });
+});
+
+// ==================== Audit Trail ====================
+
+/**
+ * GET /api/audit - Query the audit journal
+ */
+app.get('/api/audit', requirePermission('audit:read'), validate(schemas.auditQuery, 'query'), (req, res) => {
+    const { operation, user, from, to, limit = 100 } = req.query;
+    const entries = getAuditLogs(limit, {
+        operation,
+        user,
+        from: from ? from.getTime() : undefined,
+        to: to ? to.getTime() : undefined
+    });
+    
+    res.json({
+        entries,
+        count: entries.length,
+        limit
+    });
+});
+
+/**
+ * GET /api/audit/verify - Verify the audit journal hash chain
+ */
+app.get('/api/audit/verify', requirePermission('audit:read'), (req, res) => {
+    res.json(verifyAuditLog());
+});
+
 /**
  * GET /api/sovereignty/status - Get sovereignty status
  */
-app.get('/api/sovereignty/status', (req, res) => {
+app.get('/api/sovereignty/status', requirePermission('sovereignty:read'), cacheMiddleware(CACHE_TTLS.sovereignty), (req, res) => {
     const data = generateSovereigntyStatus();
     res.json(data);
 });
@@ -180,79 +506,131 @@ app.get('/api/sovereignty/status', (req, res) => {
 /**
  * GET /api/wallet/balance - Get wallet balance
  */
-app.get('/api/wallet/balance', (req, res) => {
+app.get('/api/wallet/balance', requirePermission('wallet:read'), (req, res) => {
     const data = generateWalletBalance();
     res.json(data);
 });
 
 /**
  * GET /api/nodes/status - Get node status
+ * The response cache (ETags) lives only as long as the aggregation is fresh, so expired
+ * aggregations reach getOrCompute and are served stale while they refresh.
  */
-app.get('/api/nodes/status', (req, res) => {
-    const data = generateNodeStatus();
-    res.json(data);
+app.get('/api/nodes/status', requirePermission('nodes:read'), cacheMiddleware(Math.ceil(NODE_STATUS_CACHE.ttl / 1000)), async (req, res) => {
+    try {
+        const data = await getNodeStatus();
+        res.json(data);
+    } catch (error) {
+        console.error('[Nodes] Status aggregation failed:', error);
+        res.status(503).json({
+            error: 'Service Unavailable',
+            message: 'Node status is temporarily unavailable'
+        });
+    }
 });
 
 /**
- * GET /api/logs - Get system logs
+ * GET /api/logs - Get system logs (filters, search, cursor pagination)
  */
-app.get('/api/logs', (req, res) => {
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
+app.get('/api/logs', requirePermission('logs:read'), validate(schemas.logQuery, 'query'), (req, res) => {
+    const { limit, offset, cursor, sort, level, nodeId, sessionId, from, to, q } = req.query;
+    
+    let regex = null;
+    if (req.query.regex) {
+        try {
+            regex = compileSearchRegex(req.query.regex);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                message: `Invalid regex: ${error.message}`
+            });
+        }
+    }
     
-    const paginatedLogs = systemLogs.slice(offset, offset + limit);
+    let result;
+    try {
+        result = logStore.query({
+            limit,
+            offset,
+            cursor,
+            sort,
+            levels: level ? level.split(',') : null,
+            nodeId,
+            sessionId,
+            from: from ? from.getTime() : null,
+            to: to ? to.getTime() : null,
+            text: q,
+            regex,
+            regexScanLimit: REGEX_SCAN_LIMIT,
+            regexTimeLimit: REGEX_TIME_LIMIT
+        });
+    } catch (error) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: error.message
+        });
+    }
     
     res.json({
-        logs: paginatedLogs,
-        total: systemLogs.length,
+        logs: result.logs,
+        total: result.total,
         limit,
-        offset
+        offset,
+        sort,
+        nextCursor: result.nextCursor,
+        truncated: result.truncated
     });
 });
 
 /**
- * POST /api/logs - Submit log entries
+ * POST /api/logs - Submit log entries (invalidates cached stats)
+ * Invalid entries are left out and reported by index in `rejected`; 400 only if none is valid.
  */
-app.post('/api/logs', (req, res) => {
-    const { entries } = req.body;
-    
-    if (!entries || !Array.isArray(entries)) {
-        return res.status(400).json({
-            error: 'Invalid request',
-            message: 'entries must be an array'
-        });
-    }
-    
-    const receivedLogs = [];
-    entries.forEach(entry => {
-        const logEntry = generateLogEntry(
-            entry.level || 'INFO',
-            entry.message || 'No message',
-            entry.context || {}
-        );
-        receivedLogs.push(logEntry);
-    });
+app.post('/api/logs', requirePermission('logs:write'), requestPipeline('logIngestion'), invalidateOnWrite('/api/stats'), (req, res) => {
+    const { logs, duplicates } = ingestLogEntries(req.body.entries);
     
     res.json({
         success: true,
-        received: receivedLogs.length,
-        logs: receivedLogs
+        received: logs.length,
+        duplicates,
+        rejected: req.rejected,
+        logs
     });
 });
 
 /**
  * GET /api/stats - Get server statistics
  */
-app.get('/api/stats', (req, res) => {
+app.get('/api/stats', requirePermission('stats:read'), cacheMiddleware(CACHE_TTLS.stats), (req, res) => {
     res.json({
         uptime: process.uptime(),
-        totalLogs: systemLogs.length,
+        totalLogs: logStore.count(),
+        logStore: logStore.stats(),
+        cache: cache.getStats(),
         memory: process.memoryUsage(),
-        connections: wsClients.size,
+        connections: wsHub.size,
+        websocket: wsHub.stats(),
         timestamp: Date.now()
     });
 });
 
+/**
+ * GET /api/config/logging - Client logging configuration and any active operator override
+ */
+app.get('/api/config/logging', requirePermission('logs:read'), (req, res) => {
+    const override = getLogLevelOverride();
+    
+    res.json({
+        level: LOGGING_CONFIG.level,
+        bufferSize: LOGGING_CONFIG.bufferSize,
+        flushInterval: LOGGING_CONFIG.flushInterval,
+        levels: override ? override.levels : null,
+        expiresAt: override ? override.expiresAt : null,
+        // Clients time the expiry from ttl, so their clock does not need to match ours
+        ttl: override ? override.expiresAt - Date.now() : null
+    });
+});
+
 // 404 handler for API routes
 app.use('/api/*', (req, res) => {
     res.status(404).json({
@@ -261,73 +639,118 @@ app.use('/api/*', (req, res) => {
     });
 });
 
+// Structured errors for malformed or oversized bodies, then a generic 500 without stack traces
+app.use(bodyParserErrorHandler);
+app.use(errorHandler);
+
 // ==================== WebSocket Server ====================
 
-const wss = new WebSocket.Server({ port: WS_PORT });
-const wsClients = new Set();
+/**
+ * Authenticate a WebSocket handshake, auditing failures
+ * @param {Object} credentials - { token, apiKey }
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {string} permission - Permission the connection needs (optional)
+ * @returns {Object} Client identity
+ */
+function authenticateWebSocket(credentials, req, permission) {
+    try {
+        const user = authenticateCredentials(credentials);
+        if (permission && !hasPermission(user, permission)) {
+            const error = new Error(`Missing permission: ${permission}`);
+            error.closeCode = CLOSE_CODES.FORBIDDEN;
+            throw error;
+        }
+        return user;
+    } catch (error) {
+        logAudit({ operation: 'ws.auth_failed', path: req.url.split('?')[0], reason: error.message, ip: req.socket.remoteAddress });
+        throw error;
+    }
+}
 
-wss.on('connection', (ws, req) => {
-    const clientId = `client_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    wsClients.add(ws);
-    
-    console.log(`[WebSocket] Client connected: ${clientId} (${wsClients.size} total)`);
-    
-    // Send welcome message
-    ws.send(JSON.stringify({
-        type: 'connected',
-        payload: {
-            clientId,
-            timestamp: Date.now(),
-            message: 'Connected to Resonance School Mock Server'
+// Live feed (/ws): every connection must present a JWT or API key (query parameter or subprotocol)
+const wss = new WebSocket.Server({ noServer: true, handleProtocols: selectProtocol });
+const wsHub = new WebSocketHub(wss, {
+    heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS) || undefined,
+    heartbeatTimeout: parseInt(process.env.WS_HEARTBEAT_TIMEOUT_MS) || undefined,
+    maxBufferedBytes: parseInt(process.env.WS_MAX_BUFFERED_BYTES) || undefined,
+    maxQueue: parseInt(process.env.WS_MAX_QUEUE) || undefined,
+    slowConsumerPolicy: process.env.WS_SLOW_CONSUMER_POLICY,
+    replaySize: parseInt(process.env.WS_REPLAY_BUFFER) || undefined,
+    authenticate: (credentials, req) => authenticateWebSocket(credentials, req),
+    commands: {
+        // Log sink for clients that already hold a socket; same pipeline as POST /api/logs
+        // (size limit and validation, then redaction in ingestLogEntries)
+        log: (client, data) => {
+            if (!hasPermission(client.user, 'logs:write')) {
+                throw new Error('Missing permission: logs:write');
+            }
+            const body = { entries: data.entries };
+            const { body: value, rejected } = checkPayload('logIngestion', body, Buffer.byteLength(JSON.stringify(body)));
+            
+            const { logs, duplicates } = ingestLogEntries(value.entries);
+            invalidateCache('/api/stats');
+            return { received: logs.length, duplicates, rejected };
         }
-    }));
-    
-    // Handle incoming messages
-    ws.on('message', (message) => {
-        try {
-            const data = JSON.parse(message);
-            console.log(`[WebSocket] Received from ${clientId}:`, data.type);
+    }
+});
+
+// Operator control (/ws/admin): inspect and disconnect live feed clients, push client log levels
+const adminWss = new WebSocket.Server({ noServer: true, handleProtocols: selectProtocol });
+const adminHub = new WebSocketHub(adminWss, {
+    authenticate: (credentials, req) => authenticateWebSocket(credentials, req, 'ws:admin'),
+    commands: {
+        clients: () => [...wsHub.clients.values()].map(client => ({
+            clientId: client.id,
+            username: client.username,
+            role: client.role,
+            ...wsHub.describe(client),
+            queued: client.queue.length,
+            dropped: client.dropped,
+            connectedAt: client.connectedAt
+        })),
+        disconnect: (client, data) => {
+            const target = [...wsHub.clients.values()].find(c => c.id === data.clientId);
+            if (!target) {
+                throw new Error(`Unknown client: ${data.clientId}`);
+            }
+            logAudit({ operation: 'ws.disconnect', user: client.username, clientId: target.id });
+            target.ws.close(1000, 'Disconnected by operator');
+            return { clientId: target.id };
+        },
+        // Per-component client log levels for a while, e.g. { levels: { apiservice: 'DEBUG', '*': 'WARN' }, ttl: 600000 };
+        // without clientId every feed client gets them (and later ones via GET /api/config/logging)
+        log_level: (client, data) => {
+            const { error, value } = schemas.logLevels.validate(data, { abortEarly: false, stripUnknown: true });
+            if (error) {
+                throw new Error(error.details.map(d => d.message).join('; '));
+            }
             
-            // Handle subscription requests
-            if (data.type === 'subscribe') {
-                ws.send(JSON.stringify({
-                    type: 'subscribed',
-                    payload: {
-                        channels: data.channels,
-                        timestamp: Date.now()
-                    }
-                }));
+            const targets = value.clientId
+                ? [...wsHub.clients.values()].filter(c => c.id === value.clientId)
+                : [...wsHub.clients.values()];
+            if (value.clientId && targets.length === 0) {
+                throw new Error(`Unknown client: ${value.clientId}`);
             }
-        } catch (error) {
-            console.error(`[WebSocket] Error parsing message from ${clientId}:`, error);
+            
+            const payload = value.levels
+                ? { levels: value.levels, expiresAt: Date.now() + value.ttl, ttl: value.ttl }
+                : { levels: null, expiresAt: null, ttl: null };
+            if (!value.clientId) {
+                logLevelOverride = value.levels ? { levels: value.levels, expiresAt: payload.expiresAt, setBy: client.username } : null;
+            }
+            
+            targets.forEach(target => wsHub.send(target, 'log_level', payload));
+            logAudit({ operation: 'ws.log_level', user: client.username, levels: value.levels, clientId: value.clientId || null });
+            return { ...payload, clients: targets.length };
         }
-    });
-    
-    // Handle disconnection
-    ws.on('close', () => {
-        wsClients.delete(ws);
-        console.log(`[WebSocket] Client disconnected: ${clientId} (${wsClients.size} remaining)`);
-    });
-    
-    // Handle errors
-    ws.on('error', (error) => {
-        console.error(`[WebSocket] Error for ${clientId}:`, error);
-    });
+    }
 });
 
 /**
- * Broadcast message to all connected WebSocket clients
+ * Broadcast message to subscribed WebSocket clients
  */
 function broadcastToClients(type, payload) {
-    const message = JSON.stringify({ type, payload });
-    let sent = 0;
-    
-    wsClients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(message);
-            sent++;
-        }
-    });
+    const sent = wsHub.broadcast(type, payload);
     
     if (sent > 0) {
         console.log(`[WebSocket] Broadcasted ${type} to ${sent} clients`);
@@ -336,105 +759,172 @@ function broadcastToClients(type, payload) {
 
 // ==================== Real-time Data Simulation ====================
 
-/**
- * Periodically broadcast sovereignty updates
- */
-setInterval(() => {
-    if (wsClients.size > 0) {
-        broadcastToClients('sovereignty_update', generateSovereigntyStatus());
-    }
-}, 10000); // Every 10 seconds
-
-/**
- * Periodically broadcast wallet updates
- */
-setInterval(() => {
-    if (wsClients.size > 0) {
-        broadcastToClients('wallet_update', generateWalletBalance());
-    }
-}, 15000); // Every 15 seconds
+const simulationTimers = [];
 
 /**
- * Periodically broadcast node status updates
+ * Start periodic broadcasts (sovereignty 10s, wallet 15s, nodes 8s, logs 5s)
  */
-setInterval(() => {
-    if (wsClients.size > 0) {
-        broadcastToClients('node_status', generateNodeStatus());
-    }
-}, 8000); // Every 8 seconds
+function startSimulation() {
+    simulationTimers.push(setInterval(() => {
+        if (wsHub.hasSubscribers('sovereignty_update')) {
+            broadcastToClients('sovereignty_update', generateSovereigntyStatus());
+        }
+    }, 10000));
+    
+    simulationTimers.push(setInterval(() => {
+        if (wsHub.hasSubscribers('wallet_update')) {
+            broadcastToClients('wallet_update', generateWalletBalance());
+        }
+    }, 15000));
+    
+    simulationTimers.push(setInterval(() => {
+        if (wsHub.hasSubscribers('node_status')) {
+            broadcastToClients('node_status', generateNodeStatus());
+        }
+    }, 8000));
+    
+    simulationTimers.push(setInterval(() => {
+        if (wsHub.hasSubscribers('log_entry')) {
+            const levels = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
+            const messages = [
+                'Routine system check completed',
+                'Node synchronization in progress',
+                'Cache cleanup executed',
+                'Performance metrics collected',
+                'Health check passed'
+            ];
+            
+            const level = levels[Math.floor(Math.random() * levels.length)];
+            const message = messages[Math.floor(Math.random() * messages.length)];
+            const logEntry = generateLogEntry(level, message);
+            
+            broadcastToClients('log_entry', logEntry);
+        }
+    }, 5000));
+}
 
 /**
- * Periodically generate and broadcast log entries
+ * Stop periodic broadcasts
  */
-setInterval(() => {
-    if (wsClients.size > 0) {
-        const levels = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
-        const messages = [
-            'Routine system check completed',
-            'Node synchronization in progress',
-            'Cache cleanup executed',
-            'Performance metrics collected',
-            'Health check passed'
-        ];
-        
-        const level = levels[Math.floor(Math.random() * levels.length)];
-        const message = messages[Math.floor(Math.random() * messages.length)];
-        const logEntry = generateLogEntry(level, message);
-        
-        broadcastToClients('log_entry', logEntry);
-    }
-}, 5000); // Every 5 seconds
+function stopSimulation() {
+    simulationTimers.splice(0).forEach(timer => clearInterval(timer));
+}
 
 // ==================== Server Startup ====================
 
-// Start HTTP server
-const server = app.listen(PORT, () => {
+// HTTP and WebSocket share one port; upgrades are routed by path
+const server = http.createServer(app);
+attachUpgradeRouter(server, {
+    '/ws': wss,
+    '/ws/admin': adminWss
+});
+
+let legacyWss = null;
+
+/**
+ * Print the startup banner
+ */
+function printBanner(port) {
     console.log('\n' + '='.repeat(60));
     console.log('🚀 Resonance School Mock Server');
     console.log('='.repeat(60));
     console.log(`Environment: ${NODE_ENV}`);
-    console.log(`HTTP Server: http://localhost:${PORT}`);
-    console.log(`WebSocket Server: ws://localhost:${WS_PORT}`);
-    console.log(`Health Check: http://localhost:${PORT}/health`);
+    console.log(`HTTP Server: http://localhost:${port}`);
+    console.log(`WebSocket Feed: ws://localhost:${port}/ws`);
+    console.log(`WebSocket Control: ws://localhost:${port}/ws/admin`);
+    if (legacyWss) {
+        console.log(`WebSocket Feed (legacy port): ws://localhost:${WS_PORT}`);
+    }
+    console.log(`Health Check: http://localhost:${port}/health`);
     console.log('='.repeat(60));
     console.log('\nAvailable API Endpoints:');
-    console.log(`  GET  /api/sovereignty/status`);
-    console.log(`  GET  /api/wallet/balance`);
-    console.log(`  GET  /api/nodes/status`);
-    console.log(`  GET  /api/logs`);
-    console.log(`  POST /api/logs`);
-    console.log(`  GET  /api/stats`);
-    console.log(`  GET  /health`);
+    console.log('  POST /api/auth/login');
+    console.log('  POST /api/auth/refresh');
+    console.log('  POST /api/auth/logout');
+    console.log('  POST /api/admin/keys');
+    console.log('  GET  /api/admin/keys');
+    console.log('  POST /api/admin/keys/:id/rotate');
+    console.log('  DELETE /api/admin/keys/:id');
+    console.log('  GET  /api/audit');
+    console.log('  GET  /api/audit/verify');
+    console.log('  GET  /api/sovereignty/status');
+    console.log('  GET  /api/wallet/balance');
+    console.log('  GET  /api/nodes/status');
+    console.log('  GET  /api/logs');
+    console.log('  POST /api/logs');
+    console.log('  GET  /api/stats');
+    console.log('  GET  /api/config/logging');
+    console.log('  GET  /health');
     console.log('\nWebSocket Events:');
-    console.log(`  - sovereignty_update`);
-    console.log(`  - wallet_update`);
-    console.log(`  - node_status`);
-    console.log(`  - log_entry`);
+    console.log('  - sovereignty_update');
+    console.log('  - wallet_update');
+    console.log('  - node_status');
+    console.log('  - log_entry');
+    console.log('\nWebSocket Commands:');
+    console.log('  - subscribe { channels, nodeIds }');
+    console.log('  - unsubscribe { channels }');
+    console.log('  - resume { lastSeq, epoch }');
+    console.log('  - log { entries }');
+    console.log('  - clients, disconnect { clientId } (/ws/admin)');
+    console.log('  - log_level { levels, ttl, clientId } (/ws/admin)');
     console.log('\nPress Ctrl+C to stop the server\n');
-});
+}
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('\n[Server] Shutting down gracefully...');
-    server.close(() => {
-        console.log('[Server] HTTP server closed');
-        wss.close(() => {
-            console.log('[WebSocket] WebSocket server closed');
-            process.exit(0);
+/**
+ * Start listening and broadcasting
+ * @param {Object} options - { port } (defaults to PORT; 0 picks a free port)
+ * @returns {Promise<http.Server>} Listening server
+ */
+function start(options = {}) {
+    const port = options.port !== undefined ? options.port : PORT;
+    
+    if (WS_DUAL_PORT) {
+        legacyWss = new WebSocket.Server({ port: WS_PORT, handleProtocols: selectProtocol });
+        legacyWss.on('connection', (ws, req) => wss.emit('connection', ws, req));
+    }
+    
+    startSimulation();
+    
+    return new Promise(resolve => {
+        server.listen(port, () => {
+            printBanner(server.address().port);
+            resolve(server);
         });
     });
-});
+}
 
-process.on('SIGINT', () => {
-    console.log('\n[Server] Shutting down gracefully...');
-    server.close(() => {
-        console.log('[Server] HTTP server closed');
-        wss.close(() => {
-            console.log('[WebSocket] WebSocket server closed');
-            process.exit(0);
-        });
+/**
+ * Stop broadcasting, disconnect WebSocket clients and close the servers
+ * @returns {Promise<void>}
+ */
+function stop() {
+    stopSimulation();
+    wsHub.close();
+    adminHub.close();
+    getApiKeyStore().flush();
+    
+    const closing = [new Promise(resolve => server.close(() => resolve()))];
+    if (legacyWss) {
+        closing.push(new Promise(resolve => legacyWss.close(() => resolve())));
+        legacyWss = null;
+    }
+    
+    return Promise.all(closing).then(() => {
+        console.log('[Server] HTTP and WebSocket servers closed');
     });
-});
+}
+
+if (require.main === module) {
+    start();
+    
+    // Graceful shutdown
+    const shutdown = () => {
+        console.log('\n[Server] Shutting down gracefully...');
+        stop().then(() => process.exit(0));
+    };
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+}
 
 // Export for testing
-module.exports = { app, wss, generateSovereigntyStatus, generateWalletBalance, generateNodeStatus };
+module.exports = { app, server, start, stop, wss, wsHub, adminHub, userStore, refreshTokens, logStore, generateSovereigntyStatus, generateWalletBalance, generateNodeStatus };
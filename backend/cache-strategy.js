@@ -5,19 +5,29 @@
  * @description Advanced caching with in-memory storage and optional Redis support
  */
 
+const crypto = require('crypto');
+
 /**
- * Simple in-memory cache
+ * In-memory LRU cache
+ * Map iteration order doubles as recency order: reads move entries to the end,
+ * evictions take from the front.
  */
 class MemoryCache {
     constructor(options = {}) {
         this.cache = new Map();
+        this.pending = new Map(); // In-flight getOrCompute loads by key
         this.defaultTTL = options.ttl || 300000; // 5 minutes default
+        this.negativeTTL = options.negativeTtl || 5000; // Failed loads are remembered for 5 seconds
         this.maxSize = options.maxSize || 1000;
         this.stats = {
             hits: 0,
             misses: 0,
+            stale: 0,
+            coalesced: 0,
+            loadErrors: 0,
             sets: 0,
-            deletes: 0
+            deletes: 0,
+            evictions: 0
         };
     }
     
@@ -26,18 +36,26 @@ class MemoryCache {
      * @param {string} key - Cache key
      * @param {*} value - Value to cache
      * @param {number} ttl - Time to live in milliseconds
+     * @param {Object} options - { staleTtl, error }: how long the value may be served
+     *   stale after expiry, and the failure to remember for a negative entry
      */
-    set(key, value, ttl = this.defaultTTL) {
-        // Enforce max size
-        if (this.cache.size >= this.maxSize) {
-            // Remove oldest entry
-            const firstKey = this.cache.keys().next().value;
-            this.cache.delete(firstKey);
+    set(key, value, ttl = this.defaultTTL, options = {}) {
+        if (this.cache.has(key)) {
+            this.cache.delete(key);
+        } else if (this.cache.size >= this.maxSize) {
+            // Evict least recently used entry
+            const lruKey = this.cache.keys().next().value;
+            this.cache.delete(lruKey);
+            this.stats.evictions++;
         }
         
+        const expires = Date.now() + ttl;
         const entry = {
             value,
-            expires: Date.now() + ttl
+            expires,
+            staleUntil: expires + (options.staleTtl || 0),
+            error: options.error || null,
+            retryAt: 0
         };
         
         this.cache.set(key, entry);
@@ -54,22 +72,113 @@ class MemoryCache {
     get(key) {
         const entry = this.cache.get(key);
         
-        if (!entry) {
+        if (!entry || entry.error) {
             this.stats.misses++;
             return null;
         }
         
         // Check if expired
         if (Date.now() > entry.expires) {
-            this.cache.delete(key);
+            if (Date.now() > entry.staleUntil) {
+                this.cache.delete(key);
+            }
             this.stats.misses++;
             return null;
         }
         
+        this.touch(key, entry);
         this.stats.hits++;
         return entry.value;
     }
     
+    /**
+     * Mark an entry as most recently used
+     * @param {string} key - Cache key
+     * @param {Object} entry - Cache entry
+     */
+    touch(key, entry) {
+        this.cache.delete(key);
+        this.cache.set(key, entry);
+    }
+    
+    /**
+     * Get a value, computing it on a miss
+     *
+     * Fresh values are returned directly. Within `staleTtl` after expiry the
+     * stale value is returned while a single background refresh runs.
+     * Concurrent misses share one loader promise, and a failed load is cached
+     * for `negativeTtl` so callers do not hammer a failing upstream.
+     * @param {string} key - Cache key
+     * @param {Function} loader - Returns the value or a promise of it
+     * @param {Object} options - { ttl, staleTtl, negativeTtl } in milliseconds
+     * @returns {Promise<*>} Cached or computed value
+     */
+    async getOrCompute(key, loader, options = {}) {
+        const entry = this.cache.get(key);
+        const now = Date.now();
+        
+        if (entry && now <= entry.expires) {
+            this.touch(key, entry);
+            this.stats.hits++;
+            if (entry.error) {
+                throw entry.error;
+            }
+            return entry.value;
+        }
+        
+        if (entry && !entry.error && now <= entry.staleUntil) {
+            this.touch(key, entry);
+            this.stats.stale++;
+            
+            if (!this.pending.has(key) && now >= entry.retryAt) {
+                this.load(key, loader, options).catch(() => {
+                    // Keep serving the stale value; retry after the negative TTL
+                    entry.retryAt = Date.now() + (options.negativeTtl || this.negativeTTL);
+                });
+            }
+            return entry.value;
+        }
+        
+        if (this.pending.has(key)) {
+            this.stats.coalesced++;
+            return this.pending.get(key);
+        }
+        
+        this.stats.misses++;
+        return this.load(key, loader, options, true);
+    }
+    
+    /**
+     * Run a loader and store its result
+     * @param {string} key - Cache key
+     * @param {Function} loader - Returns the value or a promise of it
+     * @param {Object} options - { ttl, staleTtl, negativeTtl }
+     * @param {boolean} cacheErrors - Store a negative entry if the load fails
+     * @returns {Promise<*>} Loaded value
+     */
+    load(key, loader, options, cacheErrors = false) {
+        const { ttl = this.defaultTTL, staleTtl = 0, negativeTtl = this.negativeTTL } = options;
+        
+        const promise = Promise.resolve()
+            .then(loader)
+            .then(value => {
+                this.set(key, value, ttl, { staleTtl });
+                return value;
+            }, error => {
+                this.stats.loadErrors++;
+                if (cacheErrors && negativeTtl > 0) {
+                    this.set(key, null, negativeTtl, { error });
+                }
+                throw error;
+            })
+            .finally(() => {
+                this.pending.delete(key);
+            });
+        
+        this.pending.set(key, promise);
+        return promise;
+    }
+    
     /**
      * Delete cache entry
      * @param {string} key - Cache key
@@ -109,7 +218,7 @@ class MemoryCache {
         let cleaned = 0;
         
         for (const [key, entry] of this.cache.entries()) {
-            if (now > entry.expires) {
+            if (now > entry.staleUntil) {
                 this.cache.delete(key);
                 cleaned++;
             }
@@ -127,8 +236,34 @@ const cache = new MemoryCache({
     maxSize: 1000
 });
 
+/**
+ * Compute a strong ETag for a response body
+ * @param {string} body - Serialized body
+ * @returns {string} Quoted ETag
+ */
+function computeETag(body) {
+    return `"${crypto.createHash('sha256').update(body).digest('base64url')}"`;
+}
+
+/**
+ * Check an If-None-Match header against an ETag
+ * @param {string} header - If-None-Match header value
+ * @param {string} etag - Current ETag
+ * @returns {boolean} True if the client copy is current
+ */
+function etagMatches(header, etag) {
+    if (!header) {
+        return false;
+    }
+    
+    return header.trim() === '*' ||
+        header.split(',').some(candidate => candidate.trim().replace(/^W\//, '') === etag);
+}
+
 /**
  * Cache middleware factory
+ * Caches JSON GET responses with a strong ETag and answers matching
+ * If-None-Match requests with 304 Not Modified.
  * @param {number} ttl - Time to live in seconds
  */
 function cacheMiddleware(ttl = 300) {
@@ -144,7 +279,15 @@ function cacheMiddleware(ttl = 300) {
         if (cached) {
             // Cache hit
             res.setHeader('X-Cache', 'HIT');
-            return res.json(cached);
+            res.setHeader('ETag', cached.etag);
+            res.setHeader('Cache-Control', `private, max-age=${Math.max(0, Math.floor((cached.expires - Date.now()) / 1000))}`);
+            
+            if (etagMatches(req.headers['if-none-match'], cached.etag)) {
+                return res.status(304).end();
+            }
+            
+            res.setHeader('Content-Type', 'application/json; charset=utf-8');
+            return res.send(cached.body);
         }
         
         // Cache miss - intercept json method
@@ -152,8 +295,23 @@ function cacheMiddleware(ttl = 300) {
         const originalJson = res.json.bind(res);
         
         res.json = (data) => {
-            cache.set(key, data, ttl * 1000);
-            return originalJson(data);
+            if (res.statusCode !== 200) {
+                return originalJson(data);
+            }
+            
+            const body = JSON.stringify(data);
+            const etag = computeETag(body);
+            cache.set(key, { body, etag, expires: Date.now() + ttl * 1000 }, ttl * 1000);
+            
+            res.setHeader('ETag', etag);
+            res.setHeader('Cache-Control', `private, max-age=${ttl}`);
+            
+            if (etagMatches(req.headers['if-none-match'], etag)) {
+                return res.status(304).end();
+            }
+            
+            res.setHeader('Content-Type', 'application/json; charset=utf-8');
+            return res.send(body);
         };
         
         next();
@@ -167,7 +325,7 @@ function cacheMiddleware(ttl = 300) {
 function invalidateCache(pattern) {
     let invalidated = 0;
     
-    for (const key of cache.cache.keys()) {
+    for (const key of [...cache.cache.keys()]) {
         if (key.includes(pattern)) {
             cache.delete(key);
             invalidated++;
@@ -177,17 +335,39 @@ function invalidateCache(pattern) {
     return invalidated;
 }
 
+/**
+ * Invalidation middleware factory for write routes
+ * Drops matching cache entries before a successful (2xx) response is sent.
+ * @param {...string} patterns - Patterns passed to invalidateCache
+ */
+function invalidateOnWrite(...patterns) {
+    return (req, res, next) => {
+        const originalJson = res.json.bind(res);
+        
+        res.json = (data) => {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                patterns.forEach(pattern => invalidateCache(pattern));
+            }
+            return originalJson(data);
+        };
+        
+        next();
+    };
+}
+
 // Periodic cleanup every 5 minutes
 setInterval(() => {
     const cleaned = cache.cleanup();
     if (cleaned > 0) {
         console.log(`[Cache] Cleaned ${cleaned} expired entries`);
     }
-}, 300000);
+}, 300000).unref();
 
 module.exports = {
     cache,
     MemoryCache,
+    computeETag,
     cacheMiddleware,
-    invalidateCache
+    invalidateCache,
+    invalidateOnWrite
 };
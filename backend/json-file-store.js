@@ -0,0 +1,66 @@
+/**
+ * JSON File Store for Resonance School Live Terminal
+ *
+ * @license MIT
+ * @description Small synchronous helpers for file-backed state in the data directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Data directory (override with DATA_DIR, e.g. a mounted volume in Docker)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Resolve a file name inside the data directory
+ * @param {string} name - File name
+ * @returns {string} Absolute path
+ */
+function resolveDataPath(name) {
+    return path.isAbsolute(name) ? name : path.join(DATA_DIR, name);
+}
+
+/**
+ * Make sure the parent directory of a file exists
+ * @param {string} filePath - File path
+ */
+function ensureDir(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+}
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - File path
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {*} Parsed content
+ */
+function readJson(filePath, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw new Error(`Failed to read ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Write a JSON file atomically (temp file + rename)
+ * @param {string} filePath - File path
+ * @param {*} data - Data to serialize
+ */
+function writeJsonAtomic(filePath, data) {
+    ensureDir(filePath);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+    DATA_DIR,
+    resolveDataPath,
+    ensureDir,
+    readJson,
+    writeJsonAtomic
+};
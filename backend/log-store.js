@@ -0,0 +1,499 @@
+/**
+ * Log Store for Resonance School Live Terminal
+ *
+ * @license MIT
+ * @description Storage abstraction for system logs with in-memory and append-only JSONL backends
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveDataPath } = require('./json-file-store');
+
+/**
+ * Encode an opaque pagination cursor
+ * @param {Object} position - { id, sort }
+ * @returns {string} Cursor
+ */
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {Object} { id, sort }
+ * @throws {Error} If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+
+    if (!position || !Number.isInteger(position.id) || !['asc', 'desc'].includes(position.sort)) {
+        throw new Error('Invalid cursor');
+    }
+
+    return position;
+}
+
+/**
+ * Check an entry against query filters
+ * @param {Object} entry - Log entry
+ * @param {Object} filters - { levels, nodeId, sessionId, from, to, text, regex }
+ * @returns {boolean} True if the entry matches
+ */
+function matchesFilters(entry, filters) {
+    const { levels, nodeId, sessionId, from, to, text, regex } = filters;
+
+    if (levels && levels.length > 0 && !levels.includes(entry.level)) return false;
+    if (nodeId && entry.nodeId !== nodeId) return false;
+    if (sessionId && entry.sessionId !== sessionId) return false;
+    if (from && entry.timestamp < from) return false;
+    if (to && entry.timestamp > to) return false;
+
+    const message = String(entry.message || '');
+    if (text && !message.toLowerCase().includes(text.toLowerCase())) return false;
+    if (regex && !regex.test(message)) return false;
+
+    return true;
+}
+
+/**
+ * In-memory log store
+ * Keeps the most recent `maxEntries` logs; everything is lost on restart.
+ */
+class MemoryLogStore {
+    constructor(options = {}) {
+        this.entries = [];
+        this.nextId = 1;
+        this.maxEntries = options.maxEntries || 1000;
+        // Idempotency key -> entry, for every retained entry submitted with a key
+        this.keys = new Map();
+    }
+
+    /**
+     * Append a log entry
+     * @param {Object} entry - Log entry without id
+     * @returns {Object} Stored entry
+     */
+    append(entry) {
+        const stored = { id: this.nextId++, ...entry };
+        this.entries.push(stored);
+        this.index([stored]);
+
+        if (this.entries.length > this.maxEntries) {
+            this.unindex(this.entries.splice(0, this.entries.length - this.maxEntries));
+        }
+
+        return stored;
+    }
+
+    /**
+     * Find a retained entry by the idempotency key it was submitted with
+     * @param {string} key - Client idempotency key
+     * @returns {Object|null} Stored entry
+     */
+    findByIdempotencyKey(key) {
+        return this.keys.get(key) || null;
+    }
+
+    /**
+     * Add entries to the idempotency key index
+     */
+    index(entries) {
+        entries.forEach(entry => {
+            if (entry.idempotencyKey) {
+                this.keys.set(entry.idempotencyKey, entry);
+            }
+        });
+    }
+
+    /**
+     * Drop removed entries from the idempotency key index
+     */
+    unindex(entries) {
+        entries.forEach(entry => {
+            if (entry.idempotencyKey && this.keys.get(entry.idempotencyKey) === entry) {
+                this.keys.delete(entry.idempotencyKey);
+            }
+        });
+    }
+
+    /**
+     * Query log entries
+     * @param {Object} options - Filters and paging:
+     *   { levels, nodeId, sessionId, from, to, text, regex, sort, cursor, limit, offset,
+     *     regexScanLimit, regexTimeLimit }
+     *   where regexScanLimit bounds a regex search to that many of the newest entries and
+     *   regexTimeLimit (ms) stops it once that much time has passed
+     * @returns {Object} { logs, total, nextCursor, truncated } where total counts all matches
+     *   and truncated tells whether entries were left out of the search
+     */
+    query(options = {}) {
+        const { limit = 50, offset = 0, sort = 'asc', cursor = null } = options;
+        const after = cursor ? decodeCursor(cursor) : null;
+
+        if (after && after.sort !== sort) {
+            throw new Error('Cursor does not match sort order');
+        }
+
+        // Matches are counted as they stream past; only the requested page is kept.
+        // Cursors continue after the last returned id, so pages stay stable while logs arrive.
+        const logs = [];
+        let total = 0;
+        let start = after ? -1 : offset;
+        const deadline = options.regex && options.regexTimeLimit ? Date.now() + options.regexTimeLimit : Infinity;
+        const truncated = this.scan(options, sort, (entry) => {
+            if (Date.now() > deadline) return false;
+            if (!matchesFilters(entry, options)) return;
+
+            if (start < 0 && (sort === 'desc' ? entry.id < after.id : entry.id > after.id)) {
+                start = total;
+            }
+            if (start >= 0 && total >= start && logs.length < limit) {
+                logs.push(entry);
+            }
+            total++;
+        });
+        const hasMore = start >= 0 && start + limit < total;
+
+        return {
+            logs,
+            total,
+            nextCursor: hasMore && logs.length > 0
+                ? encodeCursor({ id: logs[logs.length - 1].id, sort })
+                : null,
+            truncated
+        };
+    }
+
+    /**
+     * Visit the entries a query searches, in sort order
+     * @param {Object} options - Query options (regex and regexScanLimit are used here)
+     * @param {string} sort - 'asc' or 'desc'
+     * @param {Function} visit - Called with each entry; returning false stops the scan
+     * @returns {boolean} True if entries were left out
+     */
+    scan(options, sort, visit) {
+        const { regexScanLimit = 0 } = options;
+        const truncated = Boolean(options.regex) && regexScanLimit > 0 && this.entries.length > regexScanLimit;
+        const candidates = truncated ? this.entries.slice(-regexScanLimit) : this.entries;
+
+        for (let i = 0; i < candidates.length; i++) {
+            if (visit(candidates[sort === 'desc' ? candidates.length - 1 - i : i]) === false) {
+                return true;
+            }
+        }
+        return truncated;
+    }
+
+    /**
+     * Number of stored entries
+     */
+    count() {
+        return this.entries.length;
+    }
+
+    /**
+     * Store statistics
+     */
+    stats() {
+        return {
+            type: 'memory',
+            entries: this.entries.length,
+            maxEntries: this.maxEntries
+        };
+    }
+
+    /**
+     * Release resources
+     */
+    close() {}
+}
+
+/**
+ * Append-only JSONL file log store
+ *
+ * Entries are appended to the active segment file; once it grows past
+ * `segmentBytes` a new segment is started. Whole segments are deleted when
+ * they fall outside the retention window (`maxAge`) or the total size budget
+ * (`maxBytes`); nothing else removes logs from disk.
+ *
+ * Only the newest `maxEntries` are kept in memory. Queries search them; queries
+ * with a time range (`from` / `to`) also read the older segments from disk that
+ * overlap it. Regex searches stay in memory (see regexScanLimit).
+ */
+class FileLogStore extends MemoryLogStore {
+    constructor(options = {}) {
+        super(options);
+        this.dir = resolveDataPath(options.dir || 'logs');
+        this.segmentBytes = options.segmentBytes || 1024 * 1024;
+        this.maxEntries = options.maxEntries || 10000;
+        this.maxAge = options.maxAge || 7 * 24 * 60 * 60 * 1000;
+        this.maxBytes = options.maxBytes || 100 * 1024 * 1024;
+        this.segments = [];
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.load();
+        this.enforceRetention();
+    }
+
+    /**
+     * Load existing segments from disk
+     */
+    load() {
+        const files = fs.readdirSync(this.dir)
+            .filter(file => /^segment-\d+\.jsonl$/.test(file))
+            .sort();
+
+        files.forEach(file => {
+            const filePath = path.join(this.dir, file);
+            const content = fs.readFileSync(filePath, 'utf8');
+            const segment = this.createSegment(filePath);
+            segment.bytes = Buffer.byteLength(content);
+            this.segments.push(segment);
+
+            this.parseSegment(content, file).forEach(entry => {
+                this.entries.push(entry);
+                this.index([entry]);
+                this.track(segment, entry);
+                this.nextId = Math.max(this.nextId, entry.id + 1);
+                this.trimEntries();
+            });
+
+            // Terminate a line cut off by a crash, so the next append starts on a line of its own
+            if (content && !content.endsWith('\n')) {
+                fs.appendFileSync(filePath, '\n');
+                segment.bytes++;
+            }
+        });
+    }
+
+    /**
+     * Parse the lines of a segment file
+     * @param {string} content - File content
+     * @param {string} file - File name, for warnings
+     * @returns {Array<Object>} Entries in file order
+     */
+    parseSegment(content, file) {
+        const entries = [];
+        content.split('\n').forEach(line => {
+            if (!line) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // Partially written line from a crash; skip it
+                console.warn(`[LogStore] Skipping corrupt line in ${file}`);
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Empty segment descriptor: id range and timestamp range of its entries
+     */
+    createSegment(file) {
+        return { file, bytes: 0, entries: 0, firstId: null, lastId: null, minTimestamp: Infinity, maxTimestamp: 0 };
+    }
+
+    /**
+     * Record an entry written to (or read from) a segment
+     */
+    track(segment, entry) {
+        segment.entries++;
+        if (segment.firstId === null) {
+            segment.firstId = entry.id;
+        }
+        segment.lastId = entry.id;
+        segment.minTimestamp = Math.min(segment.minTimestamp, entry.timestamp);
+        segment.maxTimestamp = Math.max(segment.maxTimestamp, entry.timestamp);
+    }
+
+    /**
+     * Start a new segment file
+     * @returns {Object} Segment descriptor
+     */
+    rotate() {
+        const name = `segment-${String(this.nextId).padStart(12, '0')}.jsonl`;
+        const segment = this.createSegment(path.join(this.dir, name));
+        this.segments.push(segment);
+        return segment;
+    }
+
+    /**
+     * Append a log entry to the active segment
+     * @param {Object} entry - Log entry without id
+     * @returns {Object} Stored entry
+     */
+    append(entry) {
+        let segment = this.segments[this.segments.length - 1];
+        if (!segment || segment.bytes >= this.segmentBytes) {
+            segment = this.rotate();
+        }
+
+        const stored = { id: this.nextId++, ...entry };
+        const line = `${JSON.stringify(stored)}\n`;
+
+        fs.appendFileSync(segment.file, line);
+        segment.bytes += Buffer.byteLength(line);
+        this.track(segment, stored);
+        this.entries.push(stored);
+        this.index([stored]);
+        this.trimEntries();
+        this.enforceRetention();
+
+        return stored;
+    }
+
+    /**
+     * Drop the oldest entries beyond `maxEntries` from memory (they stay on disk)
+     */
+    trimEntries() {
+        const excess = this.entries.length - this.maxEntries;
+        if (excess > 0) {
+            this.unindex(this.entries.splice(0, excess));
+        }
+    }
+
+    /**
+     * Id of the oldest entry held in memory; older ones are only on disk
+     */
+    firstMemoryId() {
+        return this.entries.length > 0 ? this.entries[0].id : this.nextId;
+    }
+
+    /**
+     * Visit the entries a query searches, in sort order
+     * Older segments are read from disk, one at a time, for queries with a time range;
+     * segments outside [from, to] are not read at all.
+     * @returns {boolean} True if entries were left out
+     */
+    scan(options, sort, visit) {
+        const firstInMemory = this.firstMemoryId();
+        const older = this.segments.filter(segment => segment.firstId !== null && segment.firstId < firstInMemory);
+        const reachesDisk = Boolean(options.from || options.to) && !options.regex;
+        const onDisk = older.filter(segment => (!options.from || segment.maxTimestamp >= options.from)
+            && (!options.to || segment.minTimestamp <= options.to));
+
+        // Returns false if visit stopped the scan
+        const visitDisk = (segments) => segments.every(segment => {
+            const entries = this.readSegment(segment).filter(entry => entry.id < firstInMemory);
+            if (sort === 'desc') {
+                entries.reverse();
+            }
+            return entries.every(entry => visit(entry) !== false);
+        });
+
+        if (reachesDisk && sort !== 'desc' && !visitDisk(onDisk)) {
+            return true;
+        }
+        const truncated = super.scan(options, sort, visit);
+        if (reachesDisk && sort === 'desc' && !truncated && !visitDisk(onDisk.slice().reverse())) {
+            return true;
+        }
+
+        return truncated || (!reachesDisk && older.length > 0);
+    }
+
+    /**
+     * Read a segment's entries from disk
+     * @returns {Array<Object>} Entries in file order (none if the file is gone)
+     */
+    readSegment(segment) {
+        let content;
+        try {
+            content = fs.readFileSync(segment.file, 'utf8');
+        } catch (error) {
+            console.warn(`[LogStore] Could not read ${segment.file}: ${error.message}`);
+            return [];
+        }
+        return this.parseSegment(content, path.basename(segment.file));
+    }
+
+    /**
+     * Number of stored entries (on disk, including those no longer in memory)
+     */
+    count() {
+        return this.segments.reduce((sum, s) => sum + s.entries, 0);
+    }
+
+    /**
+     * Delete segments outside the retention window or size budget
+     * The active (newest) segment is never deleted.
+     * @returns {number} Number of deleted segments
+     */
+    enforceRetention() {
+        const cutoff = this.maxAge ? Date.now() - this.maxAge : 0;
+        let totalBytes = this.segments.reduce((sum, s) => sum + s.bytes, 0);
+        let deleted = 0;
+
+        while (this.segments.length > 1) {
+            const oldest = this.segments[0];
+            const tooOld = cutoff && oldest.maxTimestamp < cutoff;
+            const tooBig = this.maxBytes && totalBytes > this.maxBytes;
+
+            if (!tooOld && !tooBig) {
+                break;
+            }
+
+            fs.rmSync(oldest.file, { force: true });
+            // Its entries may still be in memory if the segment was within the newest maxEntries
+            const kept = this.entries.findIndex(entry => entry.id > oldest.lastId);
+            this.unindex(this.entries.splice(0, kept < 0 ? this.entries.length : kept));
+            this.segments.shift();
+            totalBytes -= oldest.bytes;
+            deleted++;
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Store statistics
+     */
+    stats() {
+        return {
+            type: 'file',
+            entries: this.count(),
+            memoryEntries: this.entries.length,
+            segments: this.segments.length,
+            bytes: this.segments.reduce((sum, s) => sum + s.bytes, 0),
+            segmentBytes: this.segmentBytes,
+            maxEntries: this.maxEntries,
+            maxAge: this.maxAge,
+            maxBytes: this.maxBytes
+        };
+    }
+}
+
+/**
+ * Create a log store from options/environment
+ * @param {Object} options - { type, ...store options }
+ * @returns {MemoryLogStore|FileLogStore} Log store
+ */
+function createLogStore(options = {}) {
+    const type = options.type || process.env.LOG_STORE || 'file';
+
+    if (type === 'memory') {
+        return new MemoryLogStore(options);
+    }
+
+    return new FileLogStore({
+        segmentBytes: parseInt(process.env.LOG_SEGMENT_BYTES) || undefined,
+        maxEntries: parseInt(process.env.LOG_MAX_ENTRIES) || undefined,
+        maxAge: parseInt(process.env.LOG_RETENTION_MS) || undefined,
+        maxBytes: parseInt(process.env.LOG_RETENTION_BYTES) || undefined,
+        ...options
+    });
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    MemoryLogStore,
+    FileLogStore,
+    createLogStore
+};
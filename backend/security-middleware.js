@@ -5,9 +5,12 @@
  * @description Security layer with JWT authentication, rate limiting, and input validation
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const rateLimit = require('express-rate-limit');
+const { FileApiKeyStore, generateKey } = require('./api-key-store');
+const { AuditJournal } = require('./audit-journal');
 
 // JWT Secret (should be in environment variable in production)
 const JWT_SECRET = process.env.JWT_SECRET || (() => {
@@ -18,6 +21,10 @@ const JWT_SECRET = process.env.JWT_SECRET || (() => {
     return 'dev-secret-4e8a9f2c7b6d5a3e1f9c8b7a6d5c4e3f2a1b9c8d7e6f5a4b3c2d1e9f8a7b6c5d4e3f2a1';
 })();
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+// Revoked access token IDs (jti -> expiry in ms), kept until the token would expire anyway
+const revokedTokens = new Map();
 
 // ==================== JWT Authentication ====================
 
@@ -30,17 +37,66 @@ function generateToken(payload) {
     return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
 }
 
+/**
+ * Generate short-lived access token for an authenticated user
+ * @param {Object} user - User record ({ username, role })
+ * @returns {Object} { token, expiresIn } with expiresIn in seconds
+ */
+function generateAccessToken(user) {
+    const token = jwt.sign(
+        { sub: user.username, username: user.username, role: user.role, type: 'access' },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: crypto.randomBytes(12).toString('hex') }
+    );
+    const { iat, exp } = jwt.decode(token);
+    return { token, expiresIn: exp - iat };
+}
+
 /**
  * Verify JWT token
  * @param {string} token - JWT token
  * @returns {Object} Decoded token payload
+ * @throws {Error} If the token is invalid or revoked; `expired` is set when it has run out
  */
 function verifyToken(token) {
+    let decoded;
     try {
-        return jwt.verify(token, JWT_SECRET);
+        decoded = jwt.verify(token, JWT_SECRET);
     } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            const expired = new Error('Token expired');
+            expired.expired = true;
+            throw expired;
+        }
         throw new Error('Invalid or expired token');
     }
+
+    if (decoded.jti && revokedTokens.has(decoded.jti)) {
+        throw new Error('Token has been revoked');
+    }
+
+    return decoded;
+}
+
+/**
+ * Revoke an access token until it expires
+ * @param {Object} decoded - Decoded token payload (needs jti and exp)
+ * @returns {boolean} True if the token was revoked
+ */
+function revokeToken(decoded) {
+    if (!decoded || !decoded.jti) {
+        return false;
+    }
+
+    const now = Date.now();
+    for (const [jti, expires] of revokedTokens) {
+        if (expires < now) {
+            revokedTokens.delete(jti);
+        }
+    }
+
+    revokedTokens.set(decoded.jti, (decoded.exp || 0) * 1000);
+    return true;
 }
 
 /**
@@ -71,12 +127,13 @@ function authenticateToken(req, res, next) {
 }
 
 /**
- * Optional JWT Authentication Middleware
- * Attaches user if token is valid, but doesn't reject if missing
+ * Optional Authentication Middleware
+ * Attaches user if a valid JWT or X-API-Key is present, but doesn't reject if missing
  */
 function optionalAuth(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
+    const apiKey = req.headers['x-api-key'];
     
     if (token) {
         try {
@@ -86,11 +143,106 @@ function optionalAuth(req, res, next) {
             // Token invalid but we don't reject
             console.warn('[Auth] Invalid token provided:', error.message);
         }
+    } else if (apiKey) {
+        const result = apiKeyStore.verify(apiKey);
+        if (result.valid) {
+            req.user = apiKeyIdentity(result.record);
+        } else {
+            console.warn('[Auth] Invalid API key provided:', result.reason);
+        }
     }
     
     next();
 }
 
+// ==================== Authorization ====================
+
+/**
+ * Permissions per role
+ * Roles are carried in the `role` claim of access tokens; '*' grants everything.
+ */
+const ROLES = {
+    viewer: [
+        'sovereignty:read',
+        'wallet:read',
+        'nodes:read',
+        'logs:read',
+        'stats:read'
+    ],
+    operator: [
+        'sovereignty:read',
+        'wallet:read',
+        'nodes:read',
+        'logs:read',
+        'logs:write',
+        'stats:read',
+        'governance:write',
+        'ws:admin'
+    ],
+    admin: ['*']
+};
+
+// Role granted to requests without credentials (none in production)
+const ANONYMOUS_ROLE = process.env.ANONYMOUS_ROLE !== undefined
+    ? process.env.ANONYMOUS_ROLE
+    : (process.env.NODE_ENV === 'production' ? '' : 'viewer');
+
+/**
+ * Check whether a list of grants covers a permission
+ * @param {Array<string>} granted - Granted permissions ('*' and 'resource:*' wildcards allowed)
+ * @param {string} permission - Permission (e.g. 'logs:write')
+ * @returns {boolean} True if granted
+ */
+function grantsPermission(granted, permission) {
+    const [resource] = permission.split(':');
+    
+    return granted.includes('*') ||
+        granted.includes(permission) ||
+        granted.includes(`${resource}:*`);
+}
+
+/**
+ * Check whether a user (decoded token or API key identity) has a permission
+ * API keys are limited to their scopes; tokens to the permissions of their role.
+ * @param {Object|null} user - Authenticated user or null for anonymous
+ * @param {string} permission - Permission
+ * @returns {boolean} True if granted
+ */
+function hasPermission(user, permission) {
+    if (user && Array.isArray(user.scopes)) {
+        return grantsPermission(user.scopes, permission);
+    }
+    
+    const role = user ? user.role : ANONYMOUS_ROLE;
+    const granted = role && Object.prototype.hasOwnProperty.call(ROLES, role) ? ROLES[role] : [];
+    return grantsPermission(granted, permission);
+}
+
+/**
+ * Permission middleware factory
+ * Expects req.user to be populated by optionalAuth/authenticateToken
+ * @param {string} permission - Required permission
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (hasPermission(req.user, permission)) {
+            return next();
+        }
+        
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Authentication required'
+            });
+        }
+        
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: `Missing permission: ${permission}`
+        });
+    };
+}
+
 // ==================== Rate Limiting ====================
 
 /**
@@ -104,7 +256,9 @@ const authRateLimiter = rateLimit({
         message: 'Too many authentication attempts, please try again later.'
     },
     standardHeaders: true,
-    legacyHeaders: false
+    legacyHeaders: false,
+    // Only failed attempts count towards the limit
+    skipSuccessfulRequests: true
 });
 
 /**
@@ -148,19 +302,14 @@ const schemas = {
         context: Joi.object().optional(),
         timestamp: Joi.number().optional(),
         nodeId: Joi.string().optional(),
-        sessionId: Joi.string().optional()
+        sessionId: Joi.string().optional(),
+        idempotencyKey: Joi.string().max(128).optional()
     }),
     
-    // Log entries array validation
+    // Log entries batch envelope; validateItems checks each entry against logEntry,
+    // so one bad entry does not cost the rest of the batch
     logEntries: Joi.object({
-        entries: Joi.array().items(Joi.object({
-            level: Joi.string().valid('DEBUG', 'INFO', 'WARN', 'ERROR', 'CRITICAL').required(),
-            message: Joi.string().min(1).max(1000).required(),
-            context: Joi.object().optional(),
-            timestamp: Joi.number().optional(),
-            nodeId: Joi.string().optional(),
-            sessionId: Joi.string().optional()
-        })).min(1).max(100).required()
+        entries: Joi.array().min(1).max(100).required()
     }),
     
     // Pagination validation
@@ -169,16 +318,76 @@ const schemas = {
         offset: Joi.number().integer().min(0).optional()
     }),
     
+    // Log query validation (malformed limit/offset fall back to defaults)
+    logQuery: Joi.object({
+        limit: Joi.number().integer().min(1).max(1000).failover(50).default(50),
+        offset: Joi.number().integer().min(0).failover(0).default(0),
+        cursor: Joi.string().max(500).optional(),
+        sort: Joi.string().valid('asc', 'desc').default('asc'),
+        level: Joi.string().pattern(/^(DEBUG|INFO|WARN|ERROR|CRITICAL)(,(DEBUG|INFO|WARN|ERROR|CRITICAL))*$/).optional(),
+        nodeId: Joi.string().max(100).optional(),
+        sessionId: Joi.string().max(100).optional(),
+        from: Joi.date().optional(),
+        to: Joi.date().optional(),
+        q: Joi.string().max(200).optional(),
+        regex: Joi.string().max(200).optional()
+    }),
+    
     // User login validation
     login: Joi.object({
         username: Joi.string().alphanum().min(3).max(30).required(),
         password: Joi.string().min(8).max(128).required()
     }),
     
+    // Refresh token validation
+    refreshToken: Joi.object({
+        refreshToken: Joi.string().max(256).required()
+    }),
+    
+    // Logout validation (refresh token is optional, the access token is always revoked)
+    logout: Joi.object({
+        refreshToken: Joi.string().max(256).optional()
+    }),
+    
     // API key validation
     apiKey: Joi.object({
         key: Joi.string().length(64).required(),
         name: Joi.string().min(1).max(100).optional()
+    }),
+    
+    // API key creation (admin)
+    apiKeyCreate: Joi.object({
+        name: Joi.string().min(1).max(100).required(),
+        scopes: Joi.array().items(
+            Joi.string().pattern(/^(\*|[a-z]+:(\*|[a-z]+))$/)
+        ).min(1).max(20).required(),
+        expiresIn: Joi.number().integer().min(60000).optional()
+    }),
+    
+    // API key rotation (admin)
+    apiKeyRotate: Joi.object({
+        gracePeriod: Joi.number().integer().min(0).max(30 * 24 * 60 * 60 * 1000).optional()
+    }),
+    
+    // Client log level push (operator control); levels: null clears the override
+    logLevels: Joi.object({
+        levels: Joi.object()
+            .pattern(/^(\*|[A-Za-z0-9_.-]{1,64})$/, Joi.string().valid('DEBUG', 'INFO', 'WARN', 'ERROR', 'CRITICAL'))
+            .min(1)
+            .max(50)
+            .allow(null)
+            .required(),
+        ttl: Joi.number().integer().min(1000).max(24 * 60 * 60 * 1000).default(15 * 60 * 1000),
+        clientId: Joi.string().max(100).optional()
+    }),
+    
+    // Audit log query
+    auditQuery: Joi.object({
+        operation: Joi.string().max(100).optional(),
+        user: Joi.string().max(100).optional(),
+        from: Joi.date().optional(),
+        to: Joi.date().optional(),
+        limit: Joi.number().integer().min(1).max(1000).optional()
     })
 };
 
@@ -211,6 +420,169 @@ function validate(schema, source = 'body') {
     };
 }
 
+/**
+ * Per-item validation middleware factory for batch bodies
+ * Keeps the items that pass in `req.body[field]` and lists the others in `req.rejected`
+ * as { index, details }, indexed by position in the submitted array. Responds 400 only
+ * when no item passes.
+ * @param {string} field - Array field of the body (already checked by validate())
+ * @param {Joi.Schema} schema - Joi schema for one item
+ */
+function validateItems(field, schema) {
+    return (req, res, next) => {
+        const accepted = [];
+        const rejected = [];
+        
+        req.body[field].forEach((item, index) => {
+            const { error, value } = schema.validate(item, {
+                abortEarly: false,
+                stripUnknown: true
+            });
+            
+            if (error) {
+                rejected.push({
+                    index,
+                    details: error.details.map(d => ({
+                        field: [field, index, ...d.path].join('.'),
+                        message: d.message
+                    }))
+                });
+            } else {
+                accepted.push(value);
+            }
+        });
+        
+        if (accepted.length === 0) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                message: 'Invalid input data',
+                details: rejected.flatMap(r => r.details),
+                rejected
+            });
+        }
+        
+        req.body[field] = accepted;
+        req.rejected = rejected;
+        next();
+    };
+}
+
+// Most quantifiers a search regex may use (see compileSearchRegex)
+const MAX_QUANTIFIERS = 4;
+
+/**
+ * Compile a client-supplied search regex, refusing patterns that can backtrack catastrophically
+ *
+ * Quantifiers, fixed counts included, may only apply to single atoms (characters, escapes,
+ * classes, '.'), or to groups without quantifiers or alternation inside; two quantified atoms
+ * may not follow each other (`.*.*`, `\w+\d*`); no backreferences or lookarounds.
+ * Two quantifiers other than `?` can still be matched against each other with an atom in
+ * between (`\s*.\s*x` takes seconds on one 1000-character message), so at most one is
+ * allowed, and at most MAX_QUANTIFIERS in all.
+ * That keeps a single message to roughly quadratic work; queries also stop scanning after
+ * a time limit (regexTimeLimit in log-store.js).
+ * @param {string} pattern - Regex source
+ * @returns {RegExp} Case-insensitive regex
+ * @throws {Error} If the pattern is unsafe or does not compile
+ */
+function compileSearchRegex(pattern) {
+    const groups = [];
+    let previousQuantified = false; // the atom before the current one carries a quantifier
+    let currentQuantified = false; // the current atom carries a quantifier
+    let current = null; // { type: 'atom' } or { type: 'group', inner }, null when nothing can be quantified
+    let wide = 0;
+    let quantifiers = 0;
+
+    const startAtom = () => {
+        previousQuantified = currentQuantified;
+        currentQuantified = false;
+        current = { type: 'atom' };
+    };
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1] || '')) {
+                throw new Error('Backreferences are not supported');
+            }
+            i++;
+            startAtom();
+        } else if (char === '[') {
+            // Skip to the closing bracket (escapes and a leading ']' do not close it)
+            let j = i + 1;
+            if (pattern[j] === '^') j++;
+            if (pattern[j] === ']') j++;
+            while (j < pattern.length && pattern[j] !== ']') {
+                j += pattern[j] === '\\' ? 2 : 1;
+            }
+            i = j;
+            startAtom();
+        } else if (char === '(') {
+            if (pattern[i + 1] === '?') {
+                if (pattern[i + 2] !== ':') {
+                    throw new Error('Lookarounds and named groups are not supported');
+                }
+                i += 2;
+            }
+            groups.push({ previousQuantified: currentQuantified, quantified: false, alternation: false });
+            current = null;
+        } else if (char === ')') {
+            const group = groups.pop();
+            if (!group) break; // unbalanced; RegExp reports it
+            // The group is one atom for what follows; it counts as quantified if it ends in a quantifier
+            previousQuantified = group.previousQuantified;
+            current = { type: 'group', inner: group };
+        } else if (char === '|') {
+            if (groups.length > 0) groups[groups.length - 1].alternation = true;
+            previousQuantified = false;
+            currentQuantified = groups.length > 0 ? groups[groups.length - 1].previousQuantified : false;
+            current = null;
+        } else if ('*+?{'.includes(char)) {
+            const counted = char === '{' ? /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i)) : null;
+            if (char === '{' && !counted) {
+                startAtom(); // literal '{'
+                continue;
+            }
+            if (!current) continue; // nothing to quantify; RegExp reports it
+
+            const fixed = counted && counted[2] === undefined;
+            i += counted ? counted[0].length - 1 : 0;
+            if (pattern[i + 1] === '?') i++; // lazy modifier
+
+            // A fixed count repeats whatever backtracking the group does, so it counts as nesting too
+            if (current.type === 'group' && (current.inner.quantified || current.inner.alternation)) {
+                throw new Error('Nested quantifiers are not supported');
+            }
+            if (!fixed) {
+                if (previousQuantified) {
+                    throw new Error('Adjacent quantifiers are not supported');
+                }
+                if (char !== '?') {
+                    wide++;
+                }
+                quantifiers++;
+                currentQuantified = true;
+                groups.forEach(group => { group.quantified = true; });
+            }
+        } else if (char === '^' || char === '$') {
+            previousQuantified = false;
+            currentQuantified = false;
+            current = null;
+        } else {
+            startAtom();
+        }
+    }
+
+    if (wide > 1) {
+        throw new Error('At most one quantifier other than ? is supported');
+    }
+    if (quantifiers > MAX_QUANTIFIERS) {
+        throw new Error(`At most ${MAX_QUANTIFIERS} quantifiers are supported`);
+    }
+    return new RegExp(pattern, 'i');
+}
+
 // ==================== Request Sanitization ====================
 
 /**
@@ -241,12 +613,13 @@ function sanitizeObject(obj) {
     }
     
     if (Array.isArray(obj)) {
-        return obj.map(item => sanitizeObject(item));
+        return obj.map(item => (typeof item === 'string' ? sanitizeString(item) : sanitizeObject(item)));
     }
     
     const sanitized = {};
     for (const key in obj) {
-        if (obj.hasOwnProperty(key)) {
+        // Payload keys may shadow Object.prototype methods (e.g. "hasOwnProperty")
+        if (Object.prototype.hasOwnProperty.call(obj, key)) {
             const value = obj[key];
             if (typeof value === 'string') {
                 sanitized[key] = sanitizeString(value);
@@ -272,41 +645,212 @@ function sanitizeRequest(req, res, next) {
     next();
 }
 
+// ==================== Request Correlation ====================
+
+// Client-supplied correlation IDs are adopted only if they look like one
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Correlation ID middleware
+ * Adopts the caller's X-Request-ID (or generates one), exposes it as req.id
+ * and echoes it in the response so client and server logs can be joined.
+ */
+function requestId(req, res, next) {
+    const supplied = req.get('X-Request-ID');
+    req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+    res.set('X-Request-ID', req.id);
+    next();
+}
+
+// ==================== Request Pipeline ====================
+
+/**
+ * Per-route validation profiles
+ * maxBodySize is in bytes and must stay below the global body parser limit.
+ * items: { field, schema } validates a batch field entry by entry (see validateItems).
+ */
+const validationProfiles = {
+    // Log text is stored as sent; escaping it would corrupt search, filters and length limits.
+    // Clients escape at render time (the terminal writes log fields with textContent).
+    logIngestion: {
+        schema: schemas.logEntries,
+        items: { field: 'entries', schema: schemas.logEntry },
+        maxBodySize: 256 * 1024
+    },
+    login: { schema: schemas.login, maxBodySize: 4 * 1024 },
+    refreshToken: { schema: schemas.refreshToken, maxBodySize: 4 * 1024 },
+    logout: { schema: schemas.logout, maxBodySize: 4 * 1024 },
+    apiKeyCreate: { schema: schemas.apiKeyCreate, maxBodySize: 8 * 1024 },
+    apiKeyRotate: { schema: schemas.apiKeyRotate, maxBodySize: 4 * 1024 }
+};
+
+/**
+ * Record the raw body size for per-route limits
+ * Pass as the `verify` option of express.json()
+ */
+function recordBodySize(req, res, buf) {
+    req.bodySize = buf.length;
+}
+
+/**
+ * Payload size middleware factory
+ * @param {number} maxBytes - Maximum raw body size
+ */
+function limitBodySize(maxBytes) {
+    return (req, res, next) => {
+        const size = req.bodySize || parseInt(req.headers['content-length']) || 0;
+        
+        if (size > maxBytes) {
+            return res.status(413).json({
+                error: 'Payload Too Large',
+                message: `Request body of ${size} bytes exceeds the ${maxBytes} byte limit`,
+                limit: maxBytes
+            });
+        }
+        
+        next();
+    };
+}
+
+/**
+ * Build the middleware chain for a validation profile
+ * Size limit, then schema validation, then per-item validation and sanitization when configured.
+ * @param {string} profileName - Key of validationProfiles
+ * @returns {Array<Function>} Express middleware
+ */
+function requestPipeline(profileName) {
+    const profile = validationProfiles[profileName];
+    if (!profile) {
+        throw new Error(`Unknown validation profile: ${profileName}`);
+    }
+    
+    const chain = [limitBodySize(profile.maxBodySize), validate(profile.schema)];
+    if (profile.items) {
+        chain.push(validateItems(profile.items.field, profile.items.schema));
+    }
+    if (profile.sanitize) {
+        chain.push(sanitizeRequest);
+    }
+    
+    return chain;
+}
+
+/**
+ * Run a validation profile on a payload that did not arrive over HTTP (e.g. a WebSocket command)
+ * Goes through the requestPipeline chain itself, so both paths accept and store the same data.
+ * @param {string} profileName - Key of validationProfiles
+ * @param {Object} payload - Parsed payload, shaped like the HTTP request body
+ * @param {number} size - Raw payload size in bytes
+ * @returns {{ body: Object, rejected: Array<Object> }} Validated (and sanitized) payload, plus
+ *   the batch items validateItems left out
+ * @throws {Error} With the HTTP status (413 or 400) as `status` when a step rejects the payload
+ */
+function checkPayload(profileName, payload, size) {
+    const req = { body: payload, bodySize: size, headers: {} };
+    let rejection = null;
+    const res = {
+        status: status => ({
+            json: body => {
+                rejection = { status, ...body };
+            }
+        })
+    };
+    
+    requestPipeline(profileName).forEach(step => {
+        if (!rejection) {
+            step(req, res, () => {});
+        }
+    });
+    
+    if (rejection) {
+        const error = new Error(rejection.details
+            ? rejection.details.map(d => d.message).join('; ')
+            : rejection.message);
+        error.status = rejection.status;
+        throw error;
+    }
+    
+    return { body: req.body, rejected: req.rejected || [] };
+}
+
+/**
+ * Error handler for body parser failures
+ * Turns malformed JSON and oversized bodies into structured 400/413 responses.
+ */
+function bodyParserErrorHandler(err, req, res, next) {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({
+            error: 'Payload Too Large',
+            message: `Request body exceeds the ${err.limit} byte limit`,
+            limit: err.limit
+        });
+    }
+    
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({
+            error: 'Invalid JSON',
+            message: 'Request body is not valid JSON'
+        });
+    }
+    
+    next(err);
+}
+
+/**
+ * Final error handler
+ * Answers unexpected errors with a generic 500; the stack trace only goes to the server log.
+ */
+function errorHandler(err, req, res, next) {
+    console.error(`[Server] Unhandled error in ${req.method} ${req.path} (request ${req.id}):`, err);
+    
+    if (res.headersSent) {
+        return next(err);
+    }
+    
+    res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Unexpected server error',
+        requestId: req.id
+    });
+}
+
 // ==================== API Key Management ====================
 
-// In-memory API key storage (use database in production)
-const apiKeys = new Map();
+// Pluggable key store (JSON file by default, swap with setApiKeyStore)
+let apiKeyStore = new FileApiKeyStore();
+
+/**
+ * Replace the API key store
+ * @param {Object} store - Store implementing the MemoryApiKeyStore interface
+ */
+function setApiKeyStore(store) {
+    apiKeyStore = store;
+}
+
+/**
+ * Get the active API key store
+ * @returns {Object} API key store
+ */
+function getApiKeyStore() {
+    return apiKeyStore;
+}
 
 /**
  * Generate API key
  * @returns {string} 64-character API key
  */
 function generateApiKey() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-    let key = '';
-    for (let i = 0; i < 64; i++) {
-        key += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return key;
+    return generateKey();
 }
 
 /**
  * Create API key
  * @param {string} name - Name for the API key
- * @returns {Object} API key details
- */
-function createApiKey(name = 'Unnamed Key') {
-    const key = generateApiKey();
-    const keyData = {
-        key,
-        name,
-        created: Date.now(),
-        lastUsed: null,
-        usageCount: 0
-    };
-    
-    apiKeys.set(key, keyData);
-    return keyData;
+ * @param {Object} options - { scopes, expiresAt }
+ * @returns {Object} API key details (the plaintext key is only returned here)
+ */
+function createApiKey(name = 'Unnamed Key', options = {}) {
+    return apiKeyStore.create({ ...options, name });
 }
 
 /**
@@ -315,16 +859,21 @@ function createApiKey(name = 'Unnamed Key') {
  * @returns {boolean} True if valid
  */
 function validateApiKey(key) {
-    const keyData = apiKeys.get(key);
-    if (!keyData) {
-        return false;
-    }
-    
-    // Update usage statistics
-    keyData.lastUsed = Date.now();
-    keyData.usageCount++;
-    
-    return true;
+    return apiKeyStore.verify(key).valid;
+}
+
+/**
+ * Build the request identity for an API key record
+ * @param {Object} record - Key record
+ * @returns {Object} Identity attached as req.user
+ */
+function apiKeyIdentity(record) {
+    return {
+        username: `apikey:${record.name}`,
+        keyId: record.id,
+        scopes: record.scopes,
+        authMethod: 'apiKey'
+    };
 }
 
 /**
@@ -341,41 +890,60 @@ function authenticateApiKey(req, res, next) {
         });
     }
     
-    if (!validateApiKey(apiKey)) {
+    const result = apiKeyStore.verify(apiKey);
+    if (!result.valid) {
         return res.status(403).json({
             error: 'Forbidden',
-            message: 'Invalid API key'
+            message: result.reason
         });
     }
     
+    req.user = apiKeyIdentity(result.record);
     next();
 }
 
+/**
+ * Resolve the identity for a bearer token or API key outside of Express
+ * (e.g. a WebSocket handshake)
+ * @param {Object} credentials - { token, apiKey }
+ * @returns {Object} Identity in the same shape as req.user
+ * @throws {Error} If no credential is given or it is invalid, expired or revoked
+ */
+function authenticateCredentials(credentials = {}) {
+    const { token, apiKey } = credentials;
+    
+    if (token) {
+        return { ...verifyToken(token), authMethod: 'jwt' };
+    }
+    
+    if (apiKey) {
+        const result = apiKeyStore.verify(apiKey);
+        if (!result.valid) {
+            throw new Error(result.reason);
+        }
+        return apiKeyIdentity(result.record);
+    }
+    
+    throw new Error('Authentication required');
+}
+
 // ==================== Audit Logging ====================
 
 /**
- * Audit log storage
+ * Audit journal (append-only, hash-chained, on disk)
  */
-const auditLogs = [];
+const auditJournal = new AuditJournal();
 
 /**
  * Log audit event
  * @param {Object} event - Audit event details
+ * @returns {Object} Stored journal entry
  */
 function logAudit(event) {
-    const auditEntry = {
-        timestamp: Date.now(),
-        ...event
-    };
-    
-    auditLogs.push(auditEntry);
-    
-    // Keep only last 1000 audit logs
-    if (auditLogs.length > 1000) {
-        auditLogs.shift();
-    }
+    const auditEntry = auditJournal.append(event);
     
     console.log('[Audit]', JSON.stringify(auditEntry));
+    return auditEntry;
 }
 
 /**
@@ -388,6 +956,7 @@ function auditLog(operation) {
             operation,
             method: req.method,
             path: req.path,
+            requestId: req.id,
             ip: req.ip,
             user: req.user ? req.user.username : 'anonymous',
             userAgent: req.headers['user-agent']
@@ -400,10 +969,19 @@ function auditLog(operation) {
 /**
  * Get audit logs
  * @param {number} limit - Number of logs to retrieve
+ * @param {Object} filters - { operation, user, from, to }
  * @returns {Array} Audit logs
  */
-function getAuditLogs(limit = 100) {
-    return auditLogs.slice(-limit);
+function getAuditLogs(limit = 100, filters = {}) {
+    return auditJournal.query({ ...filters, limit });
+}
+
+/**
+ * Verify the audit journal hash chain
+ * @returns {Object} { valid, entries, head, errors }
+ */
+function verifyAuditLog() {
+    return auditJournal.verify();
 }
 
 // ==================== Exports ====================
@@ -411,10 +989,17 @@ function getAuditLogs(limit = 100) {
 module.exports = {
     // JWT
     generateToken,
+    generateAccessToken,
     verifyToken,
+    revokeToken,
     authenticateToken,
     optionalAuth,
     
+    // Authorization
+    ROLES,
+    hasPermission,
+    requirePermission,
+    
     // Rate limiting
     authRateLimiter,
     apiRateLimiter,
@@ -423,20 +1008,38 @@ module.exports = {
     // Validation
     schemas,
     validate,
+    validateItems,
+    compileSearchRegex,
     
     // Sanitization
     sanitizeString,
     sanitizeObject,
     sanitizeRequest,
     
+    // Request correlation
+    requestId,
+    
+    // Request pipeline
+    validationProfiles,
+    recordBodySize,
+    limitBodySize,
+    requestPipeline,
+    checkPayload,
+    bodyParserErrorHandler,
+    errorHandler,
+    
     // API Keys
+    setApiKeyStore,
+    getApiKeyStore,
     generateApiKey,
     createApiKey,
     validateApiKey,
     authenticateApiKey,
+    authenticateCredentials,
     
     // Audit
     logAudit,
     auditLog,
-    getAuditLogs
+    getAuditLogs,
+    verifyAuditLog
 };
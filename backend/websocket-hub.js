@@ -0,0 +1,605 @@
+/**
+ * WebSocket Hub for Resonance School Live Terminal
+ *
+ * @license MIT
+ * @description Authenticates WebSocket clients, routes broadcasts by channel subscription,
+ *   replays missed events on resume and keeps connections healthy (heartbeat, backpressure)
+ */
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+// Broadcast event types, keyed by their channel alias
+const CHANNELS = {
+    sovereignty: 'sovereignty_update',
+    wallet: 'wallet_update',
+    nodes: 'node_status',
+    logs: 'log_entry'
+};
+
+const EVENT_TYPES = Object.values(CHANNELS);
+
+// Application subprotocol clients offer alongside an auth subprotocol
+const PROTOCOL = 'resonance.v1';
+
+// Application close codes (4000-4999 range)
+const CLOSE_CODES = {
+    SLOW_CONSUMER: 4008,
+    UNAUTHORIZED: 4401,
+    FORBIDDEN: 4403,
+    // The access token ran out; clients refresh it and reconnect
+    TOKEN_EXPIRED: 4419
+};
+
+// Connection health defaults
+const DEFAULTS = {
+    heartbeatInterval: 30000, // Ping every 30 seconds
+    heartbeatTimeout: 10000, // Reap if no pong within 10 seconds
+    maxBufferedBytes: 1024 * 1024, // Queue instead of writing past 1MB of unsent data
+    maxQueue: 100, // Messages held per slow client
+    slowConsumerPolicy: 'drop', // 'drop' oldest queued messages or 'disconnect' the client
+    replaySize: 1000 // Broadcasts kept for resume
+};
+
+/**
+ * Resolve a channel alias or event type to an event type
+ * @param {string} channel - e.g. 'nodes' or 'node_status'
+ * @returns {string|null} Event type, or null if unknown
+ */
+function resolveChannel(channel) {
+    if (Object.prototype.hasOwnProperty.call(CHANNELS, channel)) {
+        return CHANNELS[channel];
+    }
+    return EVENT_TYPES.includes(channel) ? channel : null;
+}
+
+/**
+ * Read handshake credentials
+ * Accepts `?token=` / `?apiKey=` query parameters or `bearer.<jwt>` /
+ * `apikey.<key>` subprotocols (subprotocols keep secrets out of URLs and logs).
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {Object} { token, apiKey }
+ */
+function extractCredentials(req) {
+    const url = new URL(req.url || '/', 'http://localhost');
+    const credentials = {
+        token: url.searchParams.get('token'),
+        apiKey: url.searchParams.get('apiKey')
+    };
+
+    const header = req.headers['sec-websocket-protocol'];
+    (header ? header.split(',') : []).forEach(value => {
+        const protocol = value.trim();
+        if (protocol.startsWith('bearer.')) {
+            credentials.token = protocol.slice('bearer.'.length);
+        } else if (protocol.startsWith('apikey.')) {
+            credentials.apiKey = protocol.slice('apikey.'.length);
+        }
+    });
+
+    return credentials;
+}
+
+/**
+ * Pick the subprotocol to answer with (never echo a credential)
+ * @param {Set<string>} protocols - Offered subprotocols
+ * @returns {string|false} Selected protocol
+ */
+function selectProtocol(protocols) {
+    return protocols.has(PROTOCOL) ? PROTOCOL : false;
+}
+
+/**
+ * Route HTTP upgrade requests to WebSocket servers by path
+ * Unknown paths are refused with 404 before the handshake completes.
+ * @param {http.Server} server - HTTP server
+ * @param {Object} routes - Map of path to noServer WebSocket.Server, e.g. { '/ws': wss }
+ */
+function attachUpgradeRouter(server, routes) {
+    server.on('upgrade', (req, socket, head) => {
+        const { pathname } = new URL(req.url || '/', 'http://localhost');
+        const target = Object.prototype.hasOwnProperty.call(routes, pathname) ? routes[pathname] : null;
+
+        if (!target) {
+            socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        target.handleUpgrade(req, socket, head, (ws) => {
+            target.emit('connection', ws, req);
+        });
+    });
+}
+
+/**
+ * WebSocket client registry with per-client channel subscriptions
+ *
+ * With an `authenticate` option every connection must present a credential;
+ * rejected connections are closed with 4401, or 4419 if the access token has
+ * expired (at the handshake or later while connected). A client receives every channel
+ * until it sends its first `subscribe`; from then on it only receives the
+ * channels it subscribed to. Log entries can additionally be filtered by node ID.
+ *
+ * Clients are pinged every `heartbeatInterval` and terminated if no pong
+ * arrives within `heartbeatTimeout`. Once a socket has more than
+ * `maxBufferedBytes` unsent, messages go to a per-client queue of at most
+ * `maxQueue` entries; when that overflows the oldest message is dropped or the
+ * client is disconnected, depending on `slowConsumerPolicy`.
+ *
+ * Every broadcast carries a sequence number and is kept in a ring buffer of
+ * `replaySize` events. A reconnecting client sends `resume { lastSeq, epoch }`
+ * and gets the events it missed, preceded by a `gap` marker if some of them
+ * already left the buffer (or the server restarted, which changes the epoch).
+ */
+class WebSocketHub {
+    /**
+     * @param {WebSocket.Server} wss - WebSocket server
+     * @param {Object} options - { authenticate(credentials, req) } returning the
+     *   client identity or throwing (connections are anonymous without it; the
+     *   error's `closeCode` overrides 4401, and errors flagged `expired` close with 4419),
+     *   { commands } mapping extra message types to handlers (client, data, hub) => result,
+     *   plus heartbeatInterval, heartbeatTimeout, maxBufferedBytes, maxQueue,
+     *   slowConsumerPolicy, replaySize
+     */
+    constructor(wss, options = {}) {
+        this.wss = wss;
+        this.authenticate = options.authenticate || null;
+        this.commands = options.commands || {};
+        this.clients = new Map(); // ws -> client state
+        this.config = {
+            heartbeatInterval: options.heartbeatInterval !== undefined ? options.heartbeatInterval : DEFAULTS.heartbeatInterval,
+            heartbeatTimeout: options.heartbeatTimeout || DEFAULTS.heartbeatTimeout,
+            maxBufferedBytes: options.maxBufferedBytes || DEFAULTS.maxBufferedBytes,
+            maxQueue: options.maxQueue || DEFAULTS.maxQueue,
+            slowConsumerPolicy: options.slowConsumerPolicy === 'disconnect' ? 'disconnect' : DEFAULTS.slowConsumerPolicy,
+            replaySize: options.replaySize || DEFAULTS.replaySize
+        };
+        // Sequence numbers restart with every hub; the epoch tells clients which run they belong to
+        this.epoch = crypto.randomBytes(8).toString('hex');
+        this.seq = 0;
+        this.replayBuffer = [];
+        this.metrics = {
+            accepted: 0,
+            pingsSent: 0,
+            pongsReceived: 0,
+            reaped: 0,
+            queued: 0,
+            dropped: 0,
+            slowConsumerDisconnects: 0,
+            resumes: 0,
+            replayed: 0,
+            gaps: 0
+        };
+        this.heartbeatTimer = null;
+
+        wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+        wss.on('close', () => this.close());
+
+        if (this.config.heartbeatInterval > 0) {
+            this.heartbeatTimer = setInterval(() => this.heartbeat(), this.config.heartbeatInterval);
+            this.heartbeatTimer.unref();
+        }
+    }
+
+    /**
+     * Number of connected clients
+     */
+    get size() {
+        return this.clients.size;
+    }
+
+    /**
+     * Register a new connection
+     * @param {WebSocket} ws - Client socket
+     * @param {http.IncomingMessage} req - Upgrade request
+     */
+    handleConnection(ws, req) {
+        let user = null;
+        if (this.authenticate) {
+            try {
+                user = this.authenticate(extractCredentials(req), req);
+            } catch (error) {
+                console.warn(`[WebSocket] Rejected connection: ${error.message}`);
+                const code = error.expired ? CLOSE_CODES.TOKEN_EXPIRED : CLOSE_CODES.UNAUTHORIZED;
+                ws.close(error.closeCode || code, error.message);
+                return;
+            }
+        }
+
+        const client = {
+            id: `client_${crypto.randomUUID()}`,
+            ws,
+            user,
+            username: user ? user.username : null,
+            role: user ? user.role || null : null,
+            channels: null, // null = all channels until the first subscribe
+            nodeIds: null,
+            connectedAt: Date.now(),
+            expiryTimer: null,
+            pongTimer: null,
+            queue: [],
+            dropped: 0
+        };
+        this.clients.set(ws, client);
+        this.metrics.accepted++;
+
+        // Drop the connection when its access token expires
+        if (user && user.exp) {
+            client.expiryTimer = setTimeout(() => {
+                ws.close(CLOSE_CODES.TOKEN_EXPIRED, 'Token expired');
+            }, Math.max(0, user.exp * 1000 - Date.now()));
+            client.expiryTimer.unref();
+        }
+
+        console.log(`[WebSocket] Client connected: ${this.label(client)} (${this.clients.size} total)`);
+
+        this.send(client, 'connected', {
+            clientId: client.id,
+            user: user ? { username: client.username, role: client.role, authMethod: user.authMethod || null } : null,
+            timestamp: Date.now(),
+            message: 'Connected to Resonance School Mock Server',
+            channels: Object.keys(CHANNELS),
+            epoch: this.epoch,
+            seq: this.seq
+        });
+
+        ws.on('message', (message) => {
+            try {
+                const data = JSON.parse(message);
+                console.log(`[WebSocket] Received from ${this.label(client)}:`, data.type);
+                this.handleMessage(client, data);
+            } catch (error) {
+                console.error(`[WebSocket] Error parsing message from ${this.label(client)}:`, error);
+            }
+        });
+
+        ws.on('pong', () => {
+            clearTimeout(client.pongTimer);
+            client.pongTimer = null;
+            this.metrics.pongsReceived++;
+        });
+
+        ws.on('close', () => {
+            clearTimeout(client.expiryTimer);
+            clearTimeout(client.pongTimer);
+            this.clients.delete(ws);
+            console.log(`[WebSocket] Client disconnected: ${this.label(client)} (${this.clients.size} remaining)`);
+        });
+
+        ws.on('error', (error) => {
+            console.error(`[WebSocket] Error for ${this.label(client)}:`, error);
+        });
+    }
+
+    /**
+     * Client label for log lines (ID plus authenticated identity)
+     * @param {Object} client - Client state
+     * @returns {string} Label
+     */
+    label(client) {
+        return client.username ? `${client.id} (${client.username})` : client.id;
+    }
+
+    /**
+     * Handle a client message
+     * @param {Object} client - Client state
+     * @param {Object} data - Parsed message
+     */
+    handleMessage(client, data) {
+        switch (data.type) {
+            case 'subscribe':
+                this.subscribe(client, data);
+                break;
+            case 'unsubscribe':
+                this.unsubscribe(client, data);
+                break;
+            case 'resume':
+                this.resume(client, data);
+                break;
+            default:
+                if (Object.prototype.hasOwnProperty.call(this.commands, data.type)) {
+                    this.runCommand(client, data);
+                }
+        }
+    }
+
+    /**
+     * Run a hub-specific command and reply with its result
+     * @param {Object} client - Client state
+     * @param {Object} data - Parsed message ({ type, ...arguments })
+     */
+    runCommand(client, data) {
+        try {
+            const result = this.commands[data.type](client, data, this);
+            this.send(client, 'command_result', { command: data.type, result, timestamp: Date.now() });
+        } catch (error) {
+            this.send(client, 'command_error', { command: data.type, message: error.message, timestamp: Date.now() });
+        }
+    }
+
+    /**
+     * Add channels to a client's subscription
+     * @param {Object} client - Client state
+     * @param {Object} data - { channels, nodeIds }; nodeIds (array or null) replaces the log filter
+     */
+    subscribe(client, data) {
+        const { valid, rejected } = this.resolveChannels(data.channels);
+
+        if (!client.channels) {
+            client.channels = new Set();
+        }
+        valid.forEach(type => client.channels.add(type));
+
+        if (data.nodeIds !== undefined) {
+            client.nodeIds = Array.isArray(data.nodeIds) && data.nodeIds.length > 0
+                ? new Set(data.nodeIds.map(String))
+                : null;
+        }
+
+        this.send(client, 'subscribed', { ...this.describe(client), rejected, timestamp: Date.now() });
+    }
+
+    /**
+     * Remove channels from a client's subscription
+     * @param {Object} client - Client state
+     * @param {Object} data - { channels }
+     */
+    unsubscribe(client, data) {
+        const { valid, rejected } = this.resolveChannels(data.channels);
+
+        if (!client.channels) {
+            client.channels = new Set(EVENT_TYPES);
+        }
+        valid.forEach(type => client.channels.delete(type));
+
+        this.send(client, 'unsubscribed', { ...this.describe(client), rejected, timestamp: Date.now() });
+    }
+
+    /**
+     * Replay broadcasts a client missed while disconnected
+     * @param {Object} client - Client state
+     * @param {Object} data - { lastSeq, epoch } from the previous connection
+     */
+    resume(client, data) {
+        const lastSeq = Number.isInteger(data.lastSeq) && data.lastSeq >= 0 ? data.lastSeq : 0;
+        const restarted = Boolean(data.epoch) && data.epoch !== this.epoch;
+        const fromSeq = restarted ? 0 : lastSeq;
+        const oldest = this.replayBuffer.length > 0 ? this.replayBuffer[0].seq : this.seq + 1;
+        this.metrics.resumes++;
+
+        if (restarted || fromSeq + 1 < oldest) {
+            this.metrics.gaps++;
+            this.send(client, 'gap', {
+                reason: restarted ? 'server_restart' : 'buffer_overflow',
+                fromSeq: restarted ? null : fromSeq + 1,
+                toSeq: oldest - 1,
+                missed: restarted ? null : oldest - 1 - fromSeq,
+                until: this.replayBuffer.length > 0 ? this.replayBuffer[0].timestamp : Date.now(),
+                timestamp: Date.now()
+            });
+        }
+
+        let replayed = 0;
+        this.replayBuffer.forEach(event => {
+            if (event.seq > fromSeq && this.wants(client, event.type, event.payload)) {
+                this.deliver(client, JSON.stringify({ type: event.type, payload: event.payload, seq: event.seq, replayed: true }));
+                replayed++;
+            }
+        });
+        this.metrics.replayed += replayed;
+
+        this.send(client, 'resumed', { fromSeq: fromSeq + 1, seq: this.seq, replayed, epoch: this.epoch, timestamp: Date.now() });
+    }
+
+    /**
+     * Split requested channels into known event types and rejected names
+     * @param {Array<string>} channels - Requested channels
+     * @returns {Object} { valid, rejected }
+     */
+    resolveChannels(channels) {
+        const valid = [];
+        const rejected = [];
+
+        (Array.isArray(channels) ? channels : []).forEach(channel => {
+            const type = resolveChannel(channel);
+            if (type) {
+                valid.push(type);
+            } else {
+                rejected.push(channel);
+            }
+        });
+
+        return { valid, rejected };
+    }
+
+    /**
+     * Current subscription of a client
+     * @param {Object} client - Client state
+     * @returns {Object} { channels, nodeIds }
+     */
+    describe(client) {
+        return {
+            channels: client.channels ? [...client.channels] : [...EVENT_TYPES],
+            nodeIds: client.nodeIds ? [...client.nodeIds] : null
+        };
+    }
+
+    /**
+     * Check whether a client wants an event
+     * @param {Object} client - Client state
+     * @param {string} type - Event type
+     * @param {Object} payload - Event payload
+     * @returns {boolean} True if the event should be sent
+     */
+    wants(client, type, payload) {
+        if (client.channels && !client.channels.has(type)) {
+            return false;
+        }
+        if (type === CHANNELS.logs && client.nodeIds) {
+            return Boolean(payload) && client.nodeIds.has(payload.nodeId);
+        }
+        return true;
+    }
+
+    /**
+     * Check whether any client is subscribed to an event type
+     * @param {string} type - Event type
+     * @returns {boolean} True if at least one client listens
+     */
+    hasSubscribers(type) {
+        for (const client of this.clients.values()) {
+            if (!client.channels || client.channels.has(type)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Send a message to one client
+     * @param {Object} client - Client state
+     * @param {string} type - Message type
+     * @param {Object} payload - Message payload
+     * @returns {boolean} True if sent or queued
+     */
+    send(client, type, payload) {
+        return this.deliver(client, JSON.stringify({ type, payload }));
+    }
+
+    /**
+     * Write a serialized message, queueing it while the socket is backed up
+     * @param {Object} client - Client state
+     * @param {string} message - Serialized message
+     * @returns {boolean} True if sent or queued
+     */
+    deliver(client, message) {
+        if (client.ws.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+
+        if (client.queue.length === 0 && client.ws.bufferedAmount <= this.config.maxBufferedBytes) {
+            client.ws.send(message, () => this.flush(client));
+            return true;
+        }
+
+        if (client.queue.length >= this.config.maxQueue) {
+            if (this.config.slowConsumerPolicy === 'disconnect') {
+                console.warn(`[WebSocket] Disconnecting slow consumer: ${this.label(client)}`);
+                this.metrics.slowConsumerDisconnects++;
+                client.queue = [];
+                client.ws.close(CLOSE_CODES.SLOW_CONSUMER, 'Slow consumer');
+                return false;
+            }
+            client.queue.shift();
+            client.dropped++;
+            this.metrics.dropped++;
+        }
+
+        client.queue.push(message);
+        this.metrics.queued++;
+        return true;
+    }
+
+    /**
+     * Write queued messages while the socket has room
+     * @param {Object} client - Client state
+     */
+    flush(client) {
+        while (client.queue.length > 0 &&
+            client.ws.readyState === WebSocket.OPEN &&
+            client.ws.bufferedAmount <= this.config.maxBufferedBytes) {
+            client.ws.send(client.queue.shift(), () => this.flush(client));
+        }
+    }
+
+    /**
+     * Ping every client and reap those that miss the pong deadline
+     */
+    heartbeat() {
+        this.clients.forEach(client => {
+            if (client.pongTimer || client.ws.readyState !== WebSocket.OPEN) {
+                return;
+            }
+
+            client.pongTimer = setTimeout(() => {
+                console.warn(`[WebSocket] Reaping unresponsive client: ${this.label(client)}`);
+                this.metrics.reaped++;
+                client.ws.terminate();
+            }, this.config.heartbeatTimeout);
+
+            client.ws.ping();
+            this.metrics.pingsSent++;
+        });
+    }
+
+    /**
+     * Connection health statistics
+     * @returns {Object} Client count, queue depth, counters and configuration
+     */
+    stats() {
+        let queuedNow = 0;
+        this.clients.forEach(client => {
+            queuedNow += client.queue.length;
+        });
+
+        return {
+            clients: this.clients.size,
+            queuedNow,
+            seq: this.seq,
+            replayBuffered: this.replayBuffer.length,
+            ...this.metrics,
+            config: { ...this.config }
+        };
+    }
+
+    /**
+     * Stop the heartbeat and disconnect every client
+     */
+    close() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        this.clients.forEach(client => {
+            clearTimeout(client.pongTimer);
+            clearTimeout(client.expiryTimer);
+            client.ws.terminate();
+        });
+    }
+
+    /**
+     * Broadcast an event to every subscribed client and record it for replay
+     * @param {string} type - Event type
+     * @param {Object} payload - Event payload
+     * @returns {number} Number of clients the event was sent to
+     */
+    broadcast(type, payload) {
+        const seq = ++this.seq;
+        const message = JSON.stringify({ type, payload, seq });
+        let sent = 0;
+
+        this.replayBuffer.push({ seq, type, payload, timestamp: Date.now() });
+        if (this.replayBuffer.length > this.config.replaySize) {
+            this.replayBuffer.shift();
+        }
+
+        this.clients.forEach(client => {
+            if (this.wants(client, type, payload) && this.deliver(client, message)) {
+                sent++;
+            }
+        });
+
+        return sent;
+    }
+}
+
+module.exports = {
+    CHANNELS,
+    PROTOCOL,
+    CLOSE_CODES,
+    DEFAULTS,
+    resolveChannel,
+    extractCredentials,
+    selectProtocol,
+    attachUpgradeRouter,
+    WebSocketHub
+};
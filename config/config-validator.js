@@ -43,7 +43,8 @@ const configSchema = Joi.object({
     api: Joi.object({
         baseURL: Joi.string().uri().required(),
         wsURL: Joi.string().uri({ scheme: ['ws', 'wss'] }).required(),
-        timeout: Joi.number().positive().required()
+        timeout: Joi.number().positive().required(),
+        mockFallback: Joi.boolean().default(false)
     }).required(),
     
     logging: Joi.object({
@@ -65,8 +66,8 @@ const configSchema = Joi.object({
     }).required(),
     
     websocket: Joi.object({
-        reconnectAttempts: Joi.number().positive().required(),
         reconnectDelay: Joi.number().positive().required(),
+        maxReconnectDelay: Joi.number().positive().required(),
         broadcastIntervals: Joi.object({
             sovereignty: Joi.number().positive().required(),
             wallet: Joi.number().positive().required(),
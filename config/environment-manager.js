@@ -136,6 +136,11 @@ class EnvironmentManager {
             this.config.api.wsURL = process.env.API_WS_URL;
         }
         
+        // Logging
+        if (process.env.LOG_LEVEL) {
+            this.config.logging.level = process.env.LOG_LEVEL;
+        }
+        
         console.log('✓ Applied environment variables');
     }
     
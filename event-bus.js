@@ -0,0 +1,164 @@
+/**
+ * Event Bus for Resonance School Live Monitor
+ * Shared publish/subscribe channel for the terminal services, usable in the browser and Node.js
+ *
+ * Event names are namespaced with ':' (e.g. 'api:connected', 'syntheia:alert').
+ * In subscription patterns '*' matches one segment and '**' any number of segments,
+ * so 'api:*' sees every APIService event and '**' sees everything.
+ */
+
+class EventBus {
+    constructor(options = {}) {
+        this.subscriptions = [];
+        // Ring buffer of recent events, replayed to subscribers that ask for it (0 disables)
+        this.replaySize = options.replaySize || 0;
+        this.history = [];
+    }
+
+    /**
+     * Check an event name against a subscription pattern
+     * @param {string} pattern - Pattern with optional '*' / '**' segments
+     * @param {string} event - Event name
+     * @returns {boolean} True if the pattern matches
+     */
+    static matches(pattern, event) {
+        if (pattern === event) return true;
+
+        const patternParts = pattern.split(':');
+        const eventParts = event.split(':');
+
+        const match = (p, e) => {
+            if (p === patternParts.length) return e === eventParts.length;
+            if (patternParts[p] === '**') {
+                for (let i = e; i <= eventParts.length; i++) {
+                    if (match(p + 1, i)) return true;
+                }
+                return false;
+            }
+            if (e === eventParts.length) return false;
+            return (patternParts[p] === '*' || patternParts[p] === eventParts[e]) && match(p + 1, e + 1);
+        };
+
+        return match(0, 0);
+    }
+
+    /**
+     * Subscribe to events
+     * @param {string} pattern - Event name or wildcard pattern
+     * @param {Function} callback - (data, { event, timestamp }) => void
+     * @param {Object} options - { once, replay } where replay delivers matching buffered events first
+     * @returns {Function} Unsubscribe handle
+     */
+    on(pattern, callback, options = {}) {
+        const subscription = { pattern, callback, once: Boolean(options.once) };
+        const unsubscribe = () => this.remove(subscription);
+
+        if (options.replay) {
+            for (const record of this.history.filter(r => EventBus.matches(pattern, r.event))) {
+                this.deliver(subscription, record);
+                if (subscription.once) return unsubscribe;
+            }
+        }
+
+        this.subscriptions.push(subscription);
+        return unsubscribe;
+    }
+
+    /**
+     * Subscribe to the next matching event only
+     * @returns {Function} Unsubscribe handle
+     */
+    once(pattern, callback, options = {}) {
+        return this.on(pattern, callback, { ...options, once: true });
+    }
+
+    /**
+     * Remove a subscription by pattern and callback
+     */
+    off(pattern, callback) {
+        const subscription = this.subscriptions.find(s => s.pattern === pattern && s.callback === callback);
+        if (subscription) {
+            this.remove(subscription);
+        }
+    }
+
+    /**
+     * Publish an event
+     * @param {string} event - Fully qualified event name
+     * @param {*} data - Payload
+     */
+    emit(event, data) {
+        const record = { event, data, timestamp: Date.now() };
+
+        if (this.replaySize > 0) {
+            this.history.push(record);
+            if (this.history.length > this.replaySize) {
+                this.history.shift();
+            }
+        }
+
+        // Snapshot: callbacks may subscribe or unsubscribe while we iterate
+        this.subscriptions
+            .filter(subscription => EventBus.matches(subscription.pattern, event))
+            .forEach(subscription => {
+                if (subscription.once) {
+                    this.remove(subscription);
+                }
+                this.deliver(subscription, record);
+            });
+    }
+
+    /**
+     * A view of this bus that prefixes every event name and pattern with `name:`
+     * @param {string} name - Namespace (e.g. 'api')
+     * @returns {Object} { name, bus, on, once, off, emit }
+     */
+    namespace(name) {
+        const qualify = (event) => `${name}:${event}`;
+        return {
+            name,
+            bus: this,
+            on: (pattern, callback, options) => this.on(qualify(pattern), callback, options),
+            once: (pattern, callback, options) => this.once(qualify(pattern), callback, options),
+            off: (pattern, callback) => this.off(qualify(pattern), callback),
+            emit: (event, data) => this.emit(qualify(event), data)
+        };
+    }
+
+    /**
+     * Recent events matching a pattern, oldest first
+     * @param {string} pattern - Event name or wildcard pattern
+     * @returns {Array} [{ event, data, timestamp }]
+     */
+    getHistory(pattern = '**') {
+        return this.history.filter(record => EventBus.matches(pattern, record.event));
+    }
+
+    /**
+     * Drop all subscriptions and buffered events
+     */
+    clear() {
+        this.subscriptions = [];
+        this.history = [];
+    }
+
+    remove(subscription) {
+        const index = this.subscriptions.indexOf(subscription);
+        if (index > -1) {
+            this.subscriptions.splice(index, 1);
+        }
+    }
+
+    deliver(subscription, record) {
+        try {
+            subscription.callback(record.data, { event: record.event, timestamp: record.timestamp });
+        } catch (error) {
+            console.error(`[EventBus] Error in ${record.event} listener:`, error);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventBus;
+}
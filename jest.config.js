@@ -7,6 +7,9 @@
 module.exports = {
     testEnvironment: 'node',
     testMatch: ['**/tests/**/*.spec.js'],
+    globalSetup: '<rootDir>/tests/global-setup.js',
+    globalTeardown: '<rootDir>/tests/global-teardown.js',
+    setupFiles: ['<rootDir>/tests/setup-env.js'],
     coverageDirectory: 'coverage',
     collectCoverageFrom: [
         'backend/**/*.js',
@@ -63,13 +63,22 @@ class KosymbiosisMonitor {
         this.monitoring = null;
         this.alerts = [];
         this.initialized = false;
+
+        // Alerts are published as 'kosymbiosis:alert'; 'kosymbiosis:refresh' redraws the dashboard
+        const Bus = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus.js');
+        this.eventBus = config.eventBus || new Bus();
+        this.events = this.eventBus.namespace('kosymbiosis');
+        // A LoggerService child from the live terminal, or the console when used standalone
+        const Logger = typeof LoggerService !== 'undefined' ? LoggerService : require('./logger-service.js');
+        this.logger = config.logger || Logger.createConsoleLogger({ component: 'kosymbiosis' });
+        this.unsubscribeRefresh = null;
     }
 
     /**
      * Initialize monitoring system
      */
     async initialize() {
-        console.log('[KOSYMBIOSIS] Initializing monitoring dashboard...');
+        this.logger.info('Initializing monitoring dashboard...');
 
         try {
             // Load initial metrics
@@ -82,11 +91,11 @@ class KosymbiosisMonitor {
             this.setupUIIntegration();
 
             this.initialized = true;
-            console.log('[KOSYMBIOSIS] Monitoring dashboard initialized');
+            this.logger.info('Monitoring dashboard initialized');
 
             return true;
         } catch (error) {
-            console.error('[KOSYMBIOSIS] Initialization failed:', error);
+            this.logger.error('Initialization failed', { error: error.message });
             return false;
         }
     }
@@ -117,10 +126,10 @@ class KosymbiosisMonitor {
                     });
                 }
 
-                console.log('[KOSYMBIOSIS] Initial metrics loaded from PACT metadata');
+                this.logger.info('Initial metrics loaded from PACT metadata');
             }
         } catch (error) {
-            console.warn('[KOSYMBIOSIS] Could not load initial metrics:', error.message);
+            this.logger.warn('Could not load initial metrics', { error: error.message });
         }
     }
 
@@ -135,7 +144,7 @@ class KosymbiosisMonitor {
             this.updateUI();
         }, this.config.updateInterval);
 
-        console.log(`[KOSYMBIOSIS] Monitoring active at ${this.config.updateInterval}ms intervals`);
+        this.logger.info('Monitoring active', { interval: this.config.updateInterval });
     }
 
     /**
@@ -350,12 +359,12 @@ class KosymbiosisMonitor {
         // Create dashboard elements if they don't exist
         this.createDashboardElements();
 
-        // Listen for custom events
-        if (typeof window !== 'undefined') {
-            window.addEventListener('kosymbiosis:refresh', () => this.updateUI());
+        // Redraw on request from other components
+        if (!this.unsubscribeRefresh) {
+            this.unsubscribeRefresh = this.events.on('refresh', () => this.updateUI());
         }
 
-        console.log('[KOSYMBIOSIS] UI integration setup complete');
+        this.logger.info('UI integration setup complete');
     }
 
     /**
@@ -521,12 +530,10 @@ class KosymbiosisMonitor {
             this.alerts = this.alerts.slice(-50);
         }
 
-        console.log(`[KOSYMBIOSIS] ${severity}: ${message}`);
+        this.logger[{ CRITICAL: 'critical', WARNING: 'warn' }[severity] || 'info'](message, { severity });
 
         // Emit alert event
-        if (typeof window !== 'undefined') {
-            window.dispatchEvent(new CustomEvent('kosymbiosis:alert', { detail: alert }));
-        }
+        this.events.emit('alert', alert);
     }
 
     /**
@@ -579,7 +586,12 @@ class KosymbiosisMonitor {
             this.monitoring = null;
         }
 
-        console.log('[KOSYMBIOSIS] Monitoring dashboard shutdown');
+        if (this.unsubscribeRefresh) {
+            this.unsubscribeRefresh();
+            this.unsubscribeRefresh = null;
+        }
+
+        this.logger.info('Monitoring dashboard shutdown');
     }
 }
 
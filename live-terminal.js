@@ -4,14 +4,29 @@
  */
 
 class LiveTerminal {
-    constructor() {
+    /**
+     * @param {Object} options - baseURL, wsURL, auth ({ accessToken, refreshToken } from
+     *   POST /api/auth/login, or { apiKey }; defaults to the session kept in localStorage
+     *   `resonanceAuth`), refreshAuth (APIService hook replacing POST /api/auth/refresh)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        // Shared by every service; integrations can subscribe here (e.g. 'syntheia:alert', 'api:*')
+        this.eventBus = null;
         this.apiService = null;
         this.logger = null;
         this.notificationService = null;
         this.syntheiaGovernance = null;
         this.kosymbiosisMonitor = null;
         this.updateInterval = null;
+        // Aborts the running refresh; also marks that one is in flight
+        this.updateController = null;
         this.coronationDate = new Date("2025-12-31T12:00:00Z");
+        this.logFilters = null;
+        this.lastLogTimestamp = null;
+        this.wasConnected = false;
+        // Provenance of what each panel shows: { source: live|cached|mock|offline, timestamp, error }
+        this.panelSources = {};
         this.initialized = false;
     }
 
@@ -22,29 +37,39 @@ class LiveTerminal {
         try {
             console.log('[LiveTerminal] Initializing...');
 
+            // Recent events are kept for subscribers that attach after startup
+            this.eventBus = new EventBus({ replaySize: 200 });
+
             // Initialize API Service
-            this.apiService = new APIService({
-                baseURL: 'https://api.resonance.school',
-                wsURL: 'wss://api.resonance.school/ws'
-            });
+            this.apiService = this.createApiService();
 
             // Initialize Logger
-            this.logger = new LoggerService(this.apiService);
+            this.logger = new LoggerService(this.apiService, { eventBus: this.eventBus });
+            this.apiService.setLogger(this.logger.child({ component: 'apiservice' }));
             this.logger.info('Live Terminal initializing');
 
+            // Server log level and any active operator override; not awaited, defaults apply meanwhile
+            this.loadLoggingConfig();
+
             // Initialize Notification Service
             this.notificationService = new NotificationService(this.logger);
 
             // Initialize SYNTHEIA Autonomous Governance (if available)
             if (typeof SyntheiaGovernance !== 'undefined') {
-                this.syntheiaGovernance = new SyntheiaGovernance();
+                this.syntheiaGovernance = new SyntheiaGovernance({
+                    eventBus: this.eventBus,
+                    logger: this.logger.child({ component: 'syntheia' })
+                });
                 await this.syntheiaGovernance.initialize();
                 this.logger.info('SYNTHEIA Autonomous Governance initialized');
             }
 
             // Initialize Kosymbiosis Monitoring (if available)
             if (typeof KosymbiosisMonitor !== 'undefined') {
-                this.kosymbiosisMonitor = new KosymbiosisMonitor();
+                this.kosymbiosisMonitor = new KosymbiosisMonitor({
+                    eventBus: this.eventBus,
+                    logger: this.logger.child({ component: 'kosymbiosis' })
+                });
                 await this.kosymbiosisMonitor.initialize();
                 this.logger.info('Kosymbiosis Monitor initialized');
             }
@@ -58,6 +83,9 @@ class LiveTerminal {
             // Initial data load
             await this.loadInitialData();
 
+            // Resume delivery of logs queued in earlier sessions
+            this.apiService.processLogQueue();
+
             // Setup countdown triggers
             this.setupCountdownTriggers();
 
@@ -84,71 +112,238 @@ class LiveTerminal {
         }
     }
 
+    /**
+     * Create the API service with the terminal's credentials
+     * Access tokens are renewed with the refresh token when they expire; the rotated
+     * tokens replace the stored session, since a refresh token only works once.
+     */
+    createApiService() {
+        const API = typeof APIService !== 'undefined' ? APIService : require('./api-service.js');
+        const auth = this.options.auth || this.loadAuth();
+
+        const apiService = new API({
+            baseURL: this.options.baseURL || 'https://api.resonance.school',
+            wsURL: this.options.wsURL || 'wss://api.resonance.school/ws',
+            timeout: 30000,
+            eventBus: this.eventBus,
+            authToken: auth.accessToken,
+            refreshToken: auth.refreshToken,
+            apiKey: auth.apiKey,
+            refreshAuth: this.options.refreshAuth
+        });
+
+        apiService.on('tokenRefreshed', (tokens) => {
+            this.saveAuth({ ...auth, accessToken: tokens.accessToken, refreshToken: tokens.refreshToken });
+        });
+        return apiService;
+    }
+
+    /**
+     * Read the stored session (localStorage `resonanceAuth`)
+     * @returns {Object} { accessToken, refreshToken, apiKey }, empty without one
+     */
+    loadAuth() {
+        try {
+            const stored = typeof localStorage !== 'undefined' ? localStorage.getItem('resonanceAuth') : null;
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            // Blocked storage or a damaged entry: connect without credentials
+            return {};
+        }
+    }
+
+    /**
+     * Store the session for the next page load
+     */
+    saveAuth(auth) {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem('resonanceAuth', JSON.stringify(auth));
+            }
+        } catch (error) {
+            console.warn('[LiveTerminal] Could not store the refreshed session:', error.message);
+        }
+    }
+
     /**
      * Setup WebSocket event listeners
      */
     setupWebSocketListeners() {
         this.apiService.on('connected', () => {
             this.logger.info('WebSocket connected');
-            this.updateConnectionStatus('connected');
         });
 
         this.apiService.on('disconnected', () => {
             this.logger.warn('WebSocket disconnected');
-            this.updateConnectionStatus('disconnected');
+        });
+
+        this.apiService.on('stateChange', (data) => {
+            this.updateConnectionStatus(data.state, data);
+
+            // Back from an outage: replace stale panels and send the queued logs
+            if (data.state === 'open' && this.wasConnected) {
+                this.refreshData();
+            }
+            if (data.state === 'open') {
+                this.wasConnected = true;
+            }
         });
 
         this.apiService.on('error', (data) => {
             this.logger.error('WebSocket error', data);
         });
 
+        this.apiService.on('authFailed', (data) => {
+            this.logger.error('WebSocket authentication failed', data);
+        });
+
         this.apiService.on('sovereigntyUpdate', (data) => {
-            this.logger.info('Sovereignty update received', data);
+            this.logger.debug('Sovereignty update received', { overrideLevel: data.overrideLevel });
             this.updateSovereigntyDisplay(data);
+            this.setPanelSource('sovereignty', { source: 'live', timestamp: Date.now() });
         });
 
         this.apiService.on('walletUpdate', (data) => {
-            this.logger.info('Wallet update received', data);
+            this.logger.debug('Wallet update received', { lastUpdate: data.lastUpdate });
             this.updateWalletDisplay(data);
+            this.setPanelSource('wallet', { source: 'live', timestamp: Date.now() });
         });
 
         this.apiService.on('nodeStatus', (data) => {
-            this.logger.info('Node status update received', data);
+            this.logger.debug('Node status update received', { nodes: Array.isArray(data.nodes) ? data.nodes.length : 0 });
             this.updateNodeDisplay(data);
+            this.setPanelSource('nodes', { source: 'live', timestamp: Date.now() });
         });
 
         this.apiService.on('logEntry', (data) => {
-            this.addLogToDisplay(data);
+            this.lastLogTimestamp = Math.max(this.lastLogTimestamp || 0, data.timestamp || 0);
+            this.setPanelSource('logs', { source: 'live', timestamp: Date.now() });
+            if (this.matchesLogFilters(data)) {
+                this.addLogToDisplay(data);
+            }
+        });
+
+        this.apiService.on('gap', (data) => {
+            this.handleFeedGap(data);
         });
     }
 
     /**
-     * Load initial data
+     * Mark a live feed gap in the log view and backfill the missed logs over REST
+     * @param {Object} gap - { reason, missed, until } from the server
      */
-    async loadInitialData() {
-        try {
-            // Fetch sovereignty status
-            const sovereignty = await this.apiService.fetchSovereigntyStatus();
-            this.updateSovereigntyDisplay(sovereignty);
-
-            // Fetch wallet balance
-            const wallet = await this.apiService.fetchWalletBalance();
-            this.updateWalletDisplay(wallet);
+    async handleFeedGap(gap) {
+        const missed = gap.missed !== null && gap.missed !== undefined ? `${gap.missed} events` : 'events';
+        const reason = gap.reason === 'server_restart' ? 'server restarted' : 'replay buffer exceeded';
+        this.logger.warn('Live feed gap detected', gap);
+        this.addLogToDisplay({
+            level: 'WARN',
+            message: `Live feed gap: ${missed} missed (${reason}); backfilling logs`,
+            timestamp: Date.now()
+        });
 
-            // Fetch node statuses
-            const nodes = await this.apiService.fetchNodeStatuses();
-            this.updateNodeDisplay(nodes);
+        if (!this.lastLogTimestamp) return;
 
-            // Fetch logs
-            const logs = await this.apiService.fetchLogs({ limit: 10 });
+        try {
+            const logs = await this.apiService.fetchLogs({
+                ...this.logFilters,
+                from: this.lastLogTimestamp + 1,
+                to: gap.until,
+                sort: 'asc',
+                limit: 100
+            });
             this.displayLogs(logs);
+        } catch (error) {
+            this.logger.error('Failed to backfill logs after feed gap', { error: error.message });
+        }
+    }
 
-            this.logger.info('Initial data loaded');
+    /**
+     * Apply the server's logging configuration (GET /api/config/logging)
+     */
+    async loadLoggingConfig() {
+        try {
+            this.logger.applyConfig(await this.apiService.fetchLoggingConfig({ retries: 0 }));
         } catch (error) {
-            this.logger.error('Failed to load initial data', { error: error.message });
+            this.logger.debug('Logging configuration unavailable, keeping defaults', { error: error.message });
         }
     }
 
+    /**
+     * Load initial data
+     * @param {AbortSignal} signal - Cancels the outstanding requests
+     */
+    async loadInitialData(signal) {
+        const requestOptions = { signal };
+        const panels = [
+            ['sovereignty', () => this.apiService.fetchSovereigntyStatus(requestOptions), data => this.updateSovereigntyDisplay(data)],
+            ['wallet', () => this.apiService.fetchWalletBalance(requestOptions), data => this.updateWalletDisplay(data)],
+            ['nodes', () => this.apiService.fetchNodeStatuses(requestOptions), data => this.updateNodeDisplay(data)],
+            ['logs', () => this.apiService.fetchLogs({ limit: 10, ...this.logFilters }, requestOptions), data => this.displayLogs(data)]
+        ];
+
+        // Each panel loads on its own so one failing endpoint does not blank the others
+        for (const [panel, fetchData, render] of panels) {
+            try {
+                const data = await fetchData();
+                render(data);
+                this.setPanelSource(panel, data.provenance);
+            } catch (error) {
+                if (error.aborted) {
+                    this.logger.debug('Data load cancelled');
+                    return;
+                }
+                this.logger.error(`Failed to load ${panel} data`, { error: error.message });
+                this.setPanelSource(panel, { source: 'offline', timestamp: null, error: error.message });
+            }
+        }
+
+        this.logger.info('Initial data loaded');
+    }
+
+    /**
+     * Record where a panel's data came from and update its badge
+     * @param {string} panel - sovereignty, wallet, nodes or logs
+     * @param {Object} provenance - { source, timestamp, error }
+     */
+    setPanelSource(panel, provenance) {
+        const previous = this.panelSources[panel];
+        this.panelSources[panel] = provenance;
+
+        if (provenance.source !== 'live' && (!previous || previous.source !== provenance.source)) {
+            this.logger.warn(`${panel} panel is showing ${provenance.source} data`, provenance);
+        }
+
+        this.renderSourceBadge(panel);
+    }
+
+    /**
+     * Render the live/stale/offline badge of a panel (#<panel>-source)
+     */
+    renderSourceBadge(panel) {
+        const element = document.getElementById(`${panel}-source`);
+        const provenance = this.panelSources[panel];
+        if (!element || !provenance) return;
+
+        const badges = {
+            live: { text: 'LIVE', color: '#00ff00' },
+            cached: { text: 'STALE', color: '#ffaa00' },
+            mock: { text: 'OFFLINE · SAMPLE DATA', color: '#ff4444' },
+            offline: { text: 'OFFLINE · NO DATA', color: '#ff4444' }
+        };
+        const badge = badges[provenance.source] || badges.offline;
+        let text = badge.text;
+
+        if (provenance.source === 'cached' && provenance.timestamp) {
+            const minutes = Math.floor((Date.now() - provenance.timestamp) / 60000);
+            text += minutes > 0 ? ` · ${minutes}m old` : ' · <1m old';
+        }
+
+        element.textContent = `[${text}]`;
+        element.style.color = badge.color;
+        element.title = provenance.error ? `Last refresh failed: ${provenance.error}` : '';
+    }
+
     /**
      * Update sovereignty display
      */
@@ -212,6 +407,48 @@ class LiveTerminal {
         });
     }
 
+    /**
+     * Replace the log panel with a filtered view, e.g. one node's errors
+     * @param {Object} filters - Options for APIService.fetchLogs (nodeId, level, q, ...)
+     */
+    async showFilteredLogs(filters = {}) {
+        const logContainer = document.getElementById('log-container');
+        if (!logContainer) return;
+
+        try {
+            const logs = await this.apiService.fetchLogs({ limit: 50, sort: 'desc', ...filters });
+            logContainer.replaceChildren();
+            // addLogToDisplay prepends, so feed oldest first
+            this.displayLogs({ logs: [...(logs.logs || [])].reverse() });
+            this.logFilters = filters;
+        } catch (error) {
+            this.logger.error('Failed to load filtered logs', { error: error.message, filters });
+        }
+    }
+
+    /**
+     * Show only errors from one node in the log panel
+     */
+    showNodeErrors(nodeId) {
+        return this.showFilteredLogs({ nodeId, level: ['ERROR', 'CRITICAL'] });
+    }
+
+    /**
+     * Check a live log entry against the active log panel filters
+     */
+    matchesLogFilters(log) {
+        const filters = this.logFilters;
+        if (!filters) return true;
+
+        const levels = Array.isArray(filters.level) ? filters.level : (filters.level ? [filters.level] : null);
+        if (levels && !levels.includes(log.level)) return false;
+        if (filters.nodeId && log.nodeId !== filters.nodeId) return false;
+        if (filters.sessionId && log.sessionId !== filters.sessionId) return false;
+        if (filters.q && !String(log.message || '').toLowerCase().includes(filters.q.toLowerCase())) return false;
+
+        return true;
+    }
+
     /**
      * Add single log entry to display
      */
@@ -266,13 +503,31 @@ class LiveTerminal {
 
     /**
      * Update connection status in UI
+     * @param {string} state - APIService connection state
+     * @param {Object} details - { nextRetryAt } while backing off
      */
-    updateConnectionStatus(status) {
+    updateConnectionStatus(state, details = {}) {
         const element = document.getElementById('connection-status');
-        if (element) {
-            element.textContent = status === 'connected' ? 'Connected' : 'Disconnected';
-            element.style.color = status === 'connected' ? '#00ff00' : '#ff4444';
+        if (!element) return;
+
+        const labels = {
+            idle: 'Disconnected',
+            connecting: 'Connecting...',
+            open: 'Connected',
+            'backing-off': 'Reconnecting...',
+            offline: 'Offline',
+            closed: 'Disconnected'
+        };
+        let text = labels[state] || 'Disconnected';
+
+        if (state === 'backing-off' && details.nextRetryAt) {
+            const seconds = Math.max(1, Math.ceil((details.nextRetryAt - Date.now()) / 1000));
+            text = `Reconnecting in ${seconds}s`;
         }
+
+        const retrying = state === 'connecting' || state === 'backing-off';
+        element.textContent = text;
+        element.style.color = state === 'open' ? '#00ff00' : retrying ? '#ffaa00' : '#ff4444';
     }
 
     /**
@@ -375,22 +630,43 @@ class LiveTerminal {
      */
     startPeriodicUpdates() {
         // Update every 30 seconds
-        this.updateInterval = setInterval(async () => {
-            try {
-                await this.loadInitialData();
-                await this.apiService.processLogQueue();
-            } catch (error) {
-                this.logger.error('Periodic update failed', { error: error.message });
-            }
-        }, 30000);
+        this.updateInterval = setInterval(() => this.refreshData(), 30000);
 
         this.logger.info('Periodic updates started');
     }
 
+    /**
+     * Reload all panels and flush queued logs; skipped while a previous refresh is still running
+     */
+    async refreshData() {
+        if (this.updateController) {
+            this.logger.warn('Previous update still running; skipping this one');
+            return;
+        }
+
+        const controller = new AbortController();
+        this.updateController = controller;
+        try {
+            await this.loadInitialData(controller.signal);
+            await this.apiService.processLogQueue();
+        } catch (error) {
+            this.logger.error('Periodic update failed', { error: error.message });
+        } finally {
+            if (this.updateController === controller) {
+                this.updateController = null;
+            }
+        }
+    }
+
     /**
      * Stop periodic updates
      */
     stopPeriodicUpdates() {
+        if (this.updateController) {
+            this.updateController.abort();
+            this.updateController = null;
+        }
+
         if (this.updateInterval) {
             clearInterval(this.updateInterval);
             this.updateInterval = null;
@@ -0,0 +1,164 @@
+/**
+ * Log Redactor for Resonance School Live Monitor
+ * Scrubs secrets and personal data from log entries, usable in the browser and Node.js
+ *
+ * Two kinds of rules apply:
+ * - key rules: any context field whose name matches (e.g. `authorization`, `apiKey`) loses its whole value
+ * - value rules: regexes that find secrets inside strings (JWTs, 64-char API keys, 0x addresses)
+ *
+ * Each rule uses a strategy: 'remove' ('[REDACTED]'), 'mask' (keeps the first and last
+ * four characters) or 'hash' (a stable digest, so the same value can still be correlated
+ * across entries). The built-in digest is 32-bit FNV-1a, which low-entropy values such as
+ * emails and addresses do not survive against brute force; pass a keyed `hash` function
+ * (the server uses HMAC-SHA256) wherever the hashes leave the machine.
+ */
+
+class LogRedactor {
+    /**
+     * @param {Object} options - { keys, patterns, keyStrategy, hash, salt, maxDepth }
+     *   keys: key-name rules (RegExp, or string for an exact case-insensitive match)
+     *   patterns: value rules [{ name, regex (global), strategy }]
+     *   hash: (text) => digest for the 'hash' strategy (default: salted FNV-1a)
+     */
+    constructor(options = {}) {
+        this.keys = (options.keys || LogRedactor.DEFAULT_KEYS)
+            .map(key => (key instanceof RegExp ? key : new RegExp(`^${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')));
+        this.patterns = options.patterns || LogRedactor.DEFAULT_PATTERNS;
+        this.keyStrategy = options.keyStrategy || 'remove';
+        this.salt = options.salt || '';
+        this.hash = options.hash || (text => LogRedactor.hash(this.salt + text));
+        this.maxDepth = options.maxDepth || 10;
+        this.redactions = 0;
+
+        [this.keyStrategy, ...this.patterns.map(p => p.strategy)].forEach(strategy => {
+            if (!['remove', 'mask', 'hash'].includes(strategy)) {
+                throw new Error(`Unknown redaction strategy: ${strategy}`);
+            }
+        });
+    }
+
+    /**
+     * Redacted copy of a log entry (message and context); other fields are kept as they are
+     * @param {Object} entry - Log entry
+     * @returns {Object} New entry
+     */
+    redactEntry(entry) {
+        return {
+            ...entry,
+            message: this.redact(entry.message),
+            context: this.redact(entry.context || {})
+        };
+    }
+
+    /**
+     * Redacted deep copy of a value
+     * @param {*} value - String, array, plain object or primitive
+     * @returns {*} Value safe to log
+     */
+    redact(value, depth = 0, seen = new WeakSet()) {
+        if (typeof value === 'string') {
+            return this.redactString(value);
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        if (depth >= this.maxDepth) {
+            return '[Truncated]';
+        }
+        seen.add(value);
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item, depth + 1, seen));
+        }
+
+        // Errors have no enumerable fields; keep what is useful in a log
+        const source = value instanceof Error ? { name: value.name, message: value.message } : value;
+        const result = {};
+        Object.entries(source).forEach(([key, item]) => {
+            result[key] = this.isSensitiveKey(key)
+                ? this.apply(this.keyStrategy, item, 'REDACTED')
+                : this.redact(item, depth + 1, seen);
+        });
+        return result;
+    }
+
+    /**
+     * Replace every value-rule match in a string
+     */
+    redactString(text) {
+        return this.patterns.reduce(
+            (result, pattern) => result.replace(pattern.regex, match => this.apply(pattern.strategy, match, `REDACTED:${pattern.name}`)),
+            text
+        );
+    }
+
+    isSensitiveKey(key) {
+        return this.keys.some(rule => rule.test(key));
+    }
+
+    /**
+     * Apply a strategy to one sensitive value
+     * @param {string} strategy - 'remove', 'mask' or 'hash'
+     * @param {*} value - Sensitive value (non-strings are serialized first)
+     * @param {string} label - Placeholder text for 'remove'
+     * @returns {string} Replacement
+     */
+    apply(strategy, value, label) {
+        this.redactions++;
+        const text = typeof value === 'string' ? value : JSON.stringify(value) || String(value);
+
+        if (strategy === 'hash') {
+            return `[hash:${this.hash(text)}]`;
+        }
+        if (strategy === 'mask') {
+            return text.length > 12 ? `${text.slice(0, 4)}…${text.slice(-4)}` : '****';
+        }
+        return `[${label}]`;
+    }
+
+    /**
+     * 32-bit FNV-1a digest as 8 hex characters
+     * @param {string} text - Input
+     * @returns {string} Digest
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+}
+
+LogRedactor.DEFAULT_KEYS = [
+    /authorization/i,
+    /token/i,
+    /passw(or)?d/i,
+    /secret/i,
+    /api[-_]?key/i,
+    /cookie/i,
+    /private[-_]?key/i,
+    /mnemonic|seed[-_]?phrase/i
+];
+
+// Matching stays linear in the input: a match can only start where a run of token characters
+// starts (so a long run is tried once, not at every offset), and every repetition is bounded
+LogRedactor.DEFAULT_PATTERNS = [
+    {
+        name: 'jwt',
+        regex: /(?<![A-Za-z0-9_-])eyJ[A-Za-z0-9_-]{1,4096}\.[A-Za-z0-9_-]{1,4096}\.[A-Za-z0-9_-]{1,4096}/g,
+        strategy: 'remove'
+    },
+    // 64 alphanumerics with at least one non-hex letter, so SHA-256 digests in logs stay readable
+    { name: 'apiKey', regex: /\b(?=[A-Za-z0-9]{0,63}[G-Zg-z])[A-Za-z0-9]{64}\b/g, strategy: 'remove' },
+    { name: 'address', regex: /\b0x[a-fA-F0-9]{40}\b/g, strategy: 'mask' }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LogRedactor;
+}
@@ -0,0 +1,298 @@
+/**
+ * Log Transports for Resonance School Live Monitor
+ * Sinks that LoggerService writes entries to. Each transport has a name, its own
+ * level threshold, an optional list of excluded components and (for text output) a formatter;
+ * LoggerService does those checks, so a custom transport only needs `write(entry)` and
+ * optionally `flush()`/`close()`.
+ */
+
+/**
+ * Quote a logfmt value when it contains spaces, quotes or '='
+ */
+function logfmtValue(value) {
+    const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text === '' || /[\s="]/.test(text) ? JSON.stringify(text) : text;
+}
+
+/**
+ * Built-in formatters: (entry) => string
+ */
+const LogFormatters = {
+    pretty(entry) {
+        const context = entry.context && Object.keys(entry.context).length > 0 ? ` ${JSON.stringify(entry.context)}` : '';
+        return `[${new Date(entry.timestamp).toISOString()}] [${entry.level}] ${entry.message}${context}`;
+    },
+
+    json(entry) {
+        return JSON.stringify(entry);
+    },
+
+    logfmt(entry) {
+        const fields = {
+            ts: new Date(entry.timestamp).toISOString(),
+            level: entry.level.toLowerCase(),
+            msg: entry.message,
+            nodeId: entry.nodeId,
+            sessionId: entry.sessionId
+        };
+        // Context keys become top-level fields unless they would shadow one of the above
+        Object.entries(entry.context || {}).forEach(([key, value]) => {
+            fields[key in fields ? `context.${key}` : key] = value;
+        });
+
+        return Object.entries(fields)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${key}=${logfmtValue(value)}`)
+            .join(' ');
+    }
+};
+
+/**
+ * Resolve a formatter name or function
+ * @throws {Error} For unknown formatter names
+ */
+function resolveFormatter(format) {
+    if (typeof format === 'function') return format;
+    if (!Object.prototype.hasOwnProperty.call(LogFormatters, format)) {
+        throw new Error(`Unknown log format: ${format}`);
+    }
+    return LogFormatters[format];
+}
+
+/**
+ * Base class for the built-in transports
+ */
+class LogTransport {
+    constructor(options = {}, defaults = {}) {
+        this.name = options.name || defaults.name;
+        // Minimum level this transport receives (on top of the logger's own level)
+        this.level = options.level || defaults.level || 'DEBUG';
+        this.format = resolveFormatter(options.format || defaults.format || 'json');
+        // Components (context.component) whose entries this transport never receives
+        this.exclude = options.exclude || defaults.exclude || [];
+    }
+
+    write() {}
+
+    flush() {}
+
+    close() {
+        return this.flush();
+    }
+}
+
+/**
+ * Console output; CSS-styled in browsers, plain text elsewhere
+ */
+class ConsoleTransport extends LogTransport {
+    constructor(options = {}) {
+        super(options, { name: 'console', format: 'pretty' });
+        this.styled = options.styled !== undefined
+            ? options.styled
+            : typeof window !== 'undefined' && typeof document !== 'undefined' && !options.format;
+        this.styles = {
+            DEBUG: 'color: #999',
+            INFO: 'color: #00ffcc',
+            WARN: 'color: #ffa500',
+            ERROR: 'color: #ff4444',
+            CRITICAL: 'color: #ff0000; font-weight: bold'
+        };
+    }
+
+    write(entry) {
+        const method = { WARN: 'warn', ERROR: 'error', CRITICAL: 'error' }[entry.level] || 'log';
+
+        if (this.styled) {
+            // Context as a separate argument stays inspectable in devtools
+            console[method](
+                `%c[${new Date(entry.timestamp).toISOString()}] [${entry.level}] ${entry.message}`,
+                this.styles[entry.level],
+                entry.context
+            );
+            return;
+        }
+        console[method](this.format(entry));
+    }
+}
+
+/**
+ * Batched delivery to POST /api/logs through APIService (which queues failed batches in its outbox)
+ */
+class HttpBatchTransport extends LogTransport {
+    constructor(options = {}) {
+        // APIService reports failures of this very sink as 'apiservice.delivery'; sending them
+        // through it again would fill the outbox with its own warnings while offline
+        super(options, { name: 'http', exclude: ['apiservice.delivery'] });
+        this.apiService = options.apiService;
+        this.batchSize = options.batchSize || 100;
+        this.flushInterval = options.flushInterval || 5000;
+        this.buffer = [];
+        this.flushIntervalId = setInterval(() => this.flush(), this.flushInterval);
+    }
+
+    write(entry) {
+        this.buffer.push(entry);
+        if (this.buffer.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    async flush() {
+        if (this.buffer.length === 0) {
+            return;
+        }
+
+        const logsToSend = this.buffer;
+        this.buffer = [];
+
+        // sendLog does not throw: it drops entries the server rejects and puts
+        // undelivered ones in the APIService outbox, which retries them
+        await this.apiService.sendLog({
+            entries: logsToSend,
+            nodeId: this.apiService.getNodeId(),
+            timestamp: Date.now()
+        });
+    }
+
+    close() {
+        clearInterval(this.flushIntervalId);
+        this.flushIntervalId = null;
+        return this.flush();
+    }
+}
+
+/**
+ * Local log history in IndexedDB (SnapshotStore `logs` store), written in small batches
+ */
+class IndexedDBTransport extends LogTransport {
+    constructor(options = {}) {
+        super(options, { name: 'indexeddb' });
+        const Store = typeof SnapshotStore !== 'undefined' ? SnapshotStore : require('./snapshot-store.js');
+        this.store = options.store || new Store();
+        this.flushDelay = options.flushDelay || 1000;
+        this.pending = [];
+        this.timer = null;
+    }
+
+    write(entry) {
+        this.pending.push(entry);
+        if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushDelay);
+        }
+    }
+
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.pending.length === 0) {
+            return;
+        }
+
+        const entries = this.pending;
+        this.pending = [];
+        try {
+            await this.store.appendStoredLogs(entries);
+        } catch (error) {
+            console.error('[IndexedDBTransport] Failed to store logs:', error);
+        }
+    }
+
+    /**
+     * Read back stored entries (pending ones are written first)
+     * @param {number} limit - Maximum number of entries
+     * @returns {Promise<Array<Object>>} Log entries, oldest first
+     */
+    async getLogs(limit) {
+        await this.flush();
+        return this.store.getStoredLogs(limit);
+    }
+}
+
+/**
+ * Delivery over the live WebSocket (`log` command); entries wait in a bounded buffer while it is closed
+ */
+class WebSocketTransport extends LogTransport {
+    constructor(options = {}) {
+        super(options, { name: 'websocket' });
+        this.apiService = options.apiService;
+        this.batchSize = options.batchSize || 50;
+        this.flushInterval = options.flushInterval || 2000;
+        this.maxBuffer = options.maxBuffer || 500;
+        this.buffer = [];
+        this.dropped = 0;
+        this.flushIntervalId = setInterval(() => this.flush(), this.flushInterval);
+    }
+
+    write(entry) {
+        this.buffer.push(entry);
+        if (this.buffer.length > this.maxBuffer) {
+            this.buffer.shift();
+            this.dropped++;
+        }
+        if (this.buffer.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    flush() {
+        while (this.buffer.length > 0) {
+            const batch = this.apiService.withIdempotencyKeys(this.buffer.slice(0, this.batchSize));
+            if (!this.apiService.sendMessage({ type: 'log', entries: batch })) {
+                return;
+            }
+            this.buffer.splice(0, batch.length);
+        }
+    }
+
+    close() {
+        clearInterval(this.flushIntervalId);
+        this.flushIntervalId = null;
+        return this.flush();
+    }
+}
+
+/**
+ * Keeps entries in memory; meant for tests and in-page inspection
+ */
+class MemoryTransport extends LogTransport {
+    constructor(options = {}) {
+        super(options, { name: 'memory' });
+        this.maxEntries = options.maxEntries || 1000;
+        this.entries = [];
+    }
+
+    write(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+    }
+
+    /**
+     * Stored entries rendered with this transport's formatter
+     * @returns {Array<string>}
+     */
+    getLines() {
+        return this.entries.map(entry => this.format(entry));
+    }
+
+    clear() {
+        this.entries = [];
+    }
+}
+
+const LogTransports = {
+    formatters: LogFormatters,
+    resolveFormatter,
+    LogTransport,
+    ConsoleTransport,
+    HttpBatchTransport,
+    IndexedDBTransport,
+    WebSocketTransport,
+    MemoryTransport
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LogTransports;
+}
@@ -4,11 +4,12 @@
  */
 
 class LoggerService {
-    constructor(apiService) {
+    constructor(apiService, options = {}) {
         this.apiService = apiService;
+        // Most recent entries, for getRecentLogs()
         this.logBuffer = [];
-        this.maxBufferSize = 100;
-        this.flushInterval = 5000; // Flush every 5 seconds
+        this.maxBufferSize = options.bufferSize || 100;
+        this.flushInterval = options.flushInterval || 5000; // HTTP sink flushes every 5 seconds
         this.levels = {
             DEBUG: 0,
             INFO: 1,
@@ -17,9 +18,100 @@ class LoggerService {
             CRITICAL: 4
         };
         this.currentLevel = this.levels.INFO;
-        this.listeners = [];
-        
-        this.startFlushInterval();
+        // Entries are published on the shared bus as 'logger:entry' (defaults to the API service's bus)
+        const Bus = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus.js');
+        this.eventBus = options.eventBus || (apiService && apiService.eventBus) || new Bus();
+        this.events = this.eventBus.namespace('logger');
+        // Unsubscribe handles for listeners added through addListener(), released by destroy()
+        this.subscriptions = new Set();
+
+        // Sinks (log-transports.js); by default the console and batched POST /api/logs
+        const Transports = typeof LogTransports !== 'undefined' ? LogTransports : require('./log-transports.js');
+        this.transports = [];
+        const transports = options.transports || [
+            new Transports.ConsoleTransport(),
+            new Transports.HttpBatchTransport({
+                apiService,
+                batchSize: this.maxBufferSize,
+                flushInterval: this.flushInterval
+            })
+        ];
+        transports.forEach(transport => this.addTransport(transport));
+
+        // Volume control, applied in this order to entries that pass the level check:
+        // sampling keeps each entry with the probability for its level,
+        // repeats of the same level+message within collapseWindow become one "repeated N times" entry,
+        // and each message key may log at most `limit` entries per `interval` (rateLimits overrides per message)
+        this.sampling = { DEBUG: 1, INFO: 1, WARN: 1, ERROR: 1, CRITICAL: 1, ...options.sampling };
+        this.collapseWindow = options.collapseWindow !== undefined ? options.collapseWindow : 10000;
+        this.rateLimit = { limit: 60, interval: 60000, ...options.rateLimit };
+        this.rateLimits = options.rateLimits || {};
+        this.rateWindows = new Map();
+        this.repeat = null;
+        this.dropped = { sampled: 0, collapsed: 0, rateLimited: 0, byKey: {} };
+
+        // Secrets and personal data are scrubbed before an entry reaches the buffer, any sink or the bus
+        // (log-redactor.js); pass `redactor: false` to turn this off
+        const Redactor = typeof LogRedactor !== 'undefined' ? LogRedactor : require('./log-redactor.js');
+        this.redactor = options.redactor === false
+            ? null
+            : options.redactor || new Redactor(options.redaction);
+
+        // Per-component levels, matched against context.component ('*' covers components without a rule).
+        // Sources from lowest to highest precedence: localStorage `logLevels`, the `logLevel` URL parameter,
+        // setLevel(level, component), and operator pushes over the live feed, which expire.
+        // Without a matching rule the global level (setLevel(level)) applies.
+        this.levelSources = { storage: {}, url: {}, runtime: {}, remote: {} };
+        this.levelRules = {};
+        this.remoteLevelTimer = null;
+        this.loadLevelOverrides(options.search);
+        this.subscriptions.add(this.eventBus.on('api:logLevel', payload => this.applyRemoteLevels(payload)));
+    }
+
+    /**
+     * Logger that adds fixed fields to the context of every entry
+     * Caller context wins over bindings; children of children merge all levels.
+     * @param {Object} bindings - e.g. { component: 'syntheia', nodeId }
+     * @returns {Object} Logger with debug/info/warn/error/critical/log/child
+     */
+    child(bindings = {}) {
+        return LoggerService.bindLogger((level, message, context) => this.log(level, message, context), bindings);
+    }
+
+    /**
+     * Build a logger facade that merges `bindings` into each entry's context
+     * @param {Function} write - (level, message, context) => entry
+     * @param {Object} bindings - Bound fields
+     * @returns {Object} Logger with debug/info/warn/error/critical/log/child
+     */
+    static bindLogger(write, bindings) {
+        const log = (level, message, context = {}) => write(level, message, { ...bindings, ...context });
+        return {
+            bindings,
+            log,
+            debug: (message, context) => log('DEBUG', message, context),
+            info: (message, context) => log('INFO', message, context),
+            warn: (message, context) => log('WARN', message, context),
+            error: (message, context) => log('ERROR', message, context),
+            critical: (message, context) => log('CRITICAL', message, context),
+            child: (more = {}) => LoggerService.bindLogger(write, { ...bindings, ...more })
+        };
+    }
+
+    /**
+     * Stand-in logger for services used without a LoggerService (e.g. standalone in Node.js)
+     * Writes "[component] message" and the remaining context to the console.
+     * @param {Object} bindings - Bound fields, usually { component }
+     * @returns {Object} Logger with the same interface as child()
+     */
+    static createConsoleLogger(bindings = {}) {
+        const methods = { DEBUG: 'debug', INFO: 'log', WARN: 'warn', ERROR: 'error', CRITICAL: 'error' };
+        return LoggerService.bindLogger((level, message, context) => {
+            const { component, ...rest } = context;
+            const text = component ? `[${component}] ${message}` : message;
+            const args = Object.keys(rest).length > 0 ? [text, rest] : [text];
+            console[methods[level] || 'log'](...args);
+        }, bindings);
     }
 
     /**
@@ -63,131 +155,222 @@ class LoggerService {
     log(level, message, context = {}) {
         const levelValue = this.levels[level];
         
-        // Check if we should log this level
-        if (levelValue < this.currentLevel) {
+        // Check if we should log this level for this component
+        if (levelValue < this.levelFor(context && context.component)) {
             return;
         }
 
-        const logEntry = {
+        const key = `${level}:${message}`;
+        if (Math.random() >= this.sampling[level]) {
+            this.countDrop('sampled', key);
+            return;
+        }
+        if (this.collapseRepeat(key, level, message)) {
+            return;
+        }
+        if (this.isRateLimited(key, message)) {
+            this.countDrop('rateLimited', key);
+            return;
+        }
+
+        return this.dispatch({
             level,
             message,
             context,
             timestamp: Date.now(),
             nodeId: this.apiService.getNodeId(),
             sessionId: this.getSessionId()
-        };
+        });
+    }
+
+    /**
+     * Redact an entry and record it in the recent buffer, every sink and the event bus
+     * @returns {Object} The entry as recorded
+     */
+    dispatch(entry) {
+        const logEntry = this.redactor ? this.redactor.redactEntry(entry) : entry;
+        const levelValue = this.levels[logEntry.level];
 
-        // Add to buffer
+        // Keep recent entries
         this.logBuffer.push(logEntry);
+        if (this.logBuffer.length > this.maxBufferSize) {
+            this.logBuffer.shift();
+        }
 
-        // Console output
-        this.consoleOutput(logEntry);
+        // Hand to every sink whose threshold it meets and that does not exclude its component
+        const component = logEntry.context && logEntry.context.component;
+        this.transports.forEach(transport => {
+            if (levelValue < this.levels[transport.level || 'DEBUG']) return;
+            if (transport.exclude && transport.exclude.includes(component)) return;
+            try {
+                transport.write(logEntry);
+            } catch (error) {
+                console.error(`[LoggerService] Transport ${transport.name} failed:`, error);
+            }
+        });
+
+        // Notify subscribers
+        this.events.emit('entry', logEntry);
 
-        // Notify listeners
-        this.notifyListeners(logEntry);
+        return logEntry;
+    }
 
-        // Check if buffer is full
-        if (this.logBuffer.length >= this.maxBufferSize) {
-            this.flush();
+    /**
+     * Swallow an entry that repeats the previous one within collapseWindow
+     * The first occurrence is logged; the rest are summed up in one entry when the run ends.
+     * @returns {boolean} True if the entry was collapsed
+     */
+    collapseRepeat(key, level, message) {
+        if (!this.collapseWindow) return false;
+
+        const now = Date.now();
+        const repeat = this.repeat;
+        if (repeat && repeat.key === key && now - repeat.firstSeen < this.collapseWindow) {
+            repeat.count++;
+            repeat.lastSeen = now;
+            this.countDrop('collapsed', key);
+            if (!repeat.timer) {
+                repeat.timer = setTimeout(() => this.flushRepeat(), this.collapseWindow - (now - repeat.firstSeen));
+            }
+            return true;
         }
 
-        return logEntry;
+        this.flushRepeat();
+        this.repeat = { key, level, message, count: 0, firstSeen: now, lastSeen: now, timer: null };
+        return false;
     }
 
     /**
-     * Output to console with formatting
+     * Log the "repeated N times" summary of the current run, if anything was collapsed
      */
-    consoleOutput(logEntry) {
-        const { level, message, context, timestamp } = logEntry;
-        const timeStr = new Date(timestamp).toISOString();
-        
-        const styles = {
-            DEBUG: 'color: #999',
-            INFO: 'color: #00ffcc',
-            WARN: 'color: #ffa500',
-            ERROR: 'color: #ff4444',
-            CRITICAL: 'color: #ff0000; font-weight: bold'
-        };
+    flushRepeat() {
+        const repeat = this.repeat;
+        this.repeat = null;
+        if (!repeat) return;
 
-        console.log(
-            `%c[${timeStr}] [${level}] ${message}`,
-            styles[level],
-            context
-        );
+        clearTimeout(repeat.timer);
+        if (repeat.count > 0) {
+            this.dispatch({
+                level: repeat.level,
+                message: `${repeat.message} (repeated ${repeat.count} times)`,
+                context: { repeated: repeat.count, firstSeen: repeat.firstSeen, lastSeen: repeat.lastSeen },
+                timestamp: Date.now(),
+                nodeId: this.apiService.getNodeId(),
+                sessionId: this.getSessionId()
+            });
+        }
     }
 
     /**
-     * Notify all registered listeners
+     * Count an entry against its message key's window
+     * @returns {boolean} True if the key is over its limit
      */
-    notifyListeners(logEntry) {
-        this.listeners.forEach(listener => {
-            try {
-                listener(logEntry);
-            } catch (error) {
-                console.error('[LoggerService] Error in listener:', error);
+    isRateLimited(key, message) {
+        const rule = { ...this.rateLimit, ...this.rateLimits[message] };
+        if (!rule.limit) return false;
+
+        const now = Date.now();
+        let window = this.rateWindows.get(key);
+        if (!window || now - window.start >= rule.interval) {
+            // Messages with interpolated values create many keys; forget expired windows
+            if (this.rateWindows.size >= 500) {
+                this.rateWindows.forEach((w, k) => {
+                    if (now - w.start >= w.interval) this.rateWindows.delete(k);
+                });
             }
-        });
+            window = { start: now, interval: rule.interval, count: 0 };
+            this.rateWindows.set(key, window);
+        }
+
+        window.count++;
+        return window.count > rule.limit;
+    }
+
+    countDrop(reason, key) {
+        const byKey = this.dropped.byKey;
+        // Bounded like rateWindows; the long tail is counted together
+        const bucket = key in byKey || Object.keys(byKey).length < 500 ? key : '(other)';
+        this.dropped[reason]++;
+        byKey[bucket] = (byKey[bucket] || 0) + 1;
     }
 
     /**
-     * Add listener for log entries
+     * Entries dropped by sampling, collapsing and rate limiting since startup
+     * @returns {Object} { sampled, collapsed, rateLimited, byKey } where byKey counts per 'LEVEL:message'
      */
-    addListener(callback) {
-        this.listeners.push(callback);
+    getDropCounters() {
+        return { ...this.dropped, byKey: { ...this.dropped.byKey } };
     }
 
     /**
-     * Remove listener
+     * Attach a sink at runtime
+     * @param {Object} transport - { name, level, exclude, write(entry), flush(), close() }; see log-transports.js
+     * @returns {Function} Handle that detaches (and closes) the transport
      */
-    removeListener(callback) {
-        const index = this.listeners.indexOf(callback);
-        if (index > -1) {
-            this.listeners.splice(index, 1);
+    addTransport(transport) {
+        if (!transport || typeof transport.write !== 'function') {
+            throw new Error('Log transport must implement write(entry)');
         }
+        this.transports.push(transport);
+        return () => this.removeTransport(transport);
     }
 
     /**
-     * Flush buffer to remote logging system
+     * Detach a sink, flushing and closing it
+     * @param {Object|string} transport - Transport or its name
      */
-    async flush() {
-        if (this.logBuffer.length === 0) {
-            return;
+    removeTransport(transport) {
+        const index = this.transports.findIndex(t => t === transport || t.name === transport);
+        if (index === -1) return;
+
+        const [removed] = this.transports.splice(index, 1);
+        if (typeof removed.close === 'function') {
+            removed.close();
         }
+    }
 
-        const logsToSend = [...this.logBuffer];
-        this.logBuffer = [];
+    /**
+     * Find an attached sink by name
+     * @returns {Object|null} Transport
+     */
+    getTransport(name) {
+        return this.transports.find(t => t.name === name) || null;
+    }
 
-        try {
-            // Send to API service
-            await this.apiService.sendLog({
-                entries: logsToSend,
-                nodeId: this.apiService.getNodeId(),
-                timestamp: Date.now()
-            });
-        } catch (error) {
-            console.error('[LoggerService] Failed to flush logs:', error);
-            // Put logs back in buffer for retry
-            this.logBuffer.unshift(...logsToSend);
-        }
+    /**
+     * Add listener for log entries (shorthand for subscribing to 'logger:entry')
+     * @returns {Function} Unsubscribe handle
+     */
+    addListener(callback) {
+        const unsubscribe = this.events.on('entry', callback);
+        const handle = () => {
+            this.subscriptions.delete(handle);
+            unsubscribe();
+        };
+        this.subscriptions.add(handle);
+        return handle;
     }
 
     /**
-     * Start automatic flush interval
+     * Remove listener
      */
-    startFlushInterval() {
-        this.flushIntervalId = setInterval(() => {
-            this.flush();
-        }, this.flushInterval);
+    removeListener(callback) {
+        this.events.off('entry', callback);
     }
 
     /**
-     * Stop automatic flush interval
+     * Flush every sink that buffers (e.g. the HTTP batch transport)
      */
-    stopFlushInterval() {
-        if (this.flushIntervalId) {
-            clearInterval(this.flushIntervalId);
-            this.flushIntervalId = null;
-        }
+    async flush() {
+        this.flushRepeat();
+        await Promise.all(this.transports.map(async transport => {
+            if (typeof transport.flush !== 'function') return;
+            try {
+                await transport.flush();
+            } catch (error) {
+                console.error(`[LoggerService] Failed to flush ${transport.name}:`, error);
+            }
+        }));
     }
 
     /**
@@ -203,9 +386,21 @@ class LoggerService {
     }
 
     /**
-     * Set minimum log level
+     * Set minimum log level, globally or for one component
+     * @param {string|number|null} level - Level name (or value, globally); null clears a component rule
+     * @param {string} component - Component name or '*'; omitted sets the global level
      */
-    setLevel(level) {
+    setLevel(level, component) {
+        if (component !== undefined) {
+            if (level === null) {
+                delete this.levelSources.runtime[component];
+            } else if (this.levels[level] !== undefined) {
+                this.levelSources.runtime[component] = level;
+            }
+            this.resolveLevels();
+            return;
+        }
+
         if (typeof level === 'string' && this.levels[level] !== undefined) {
             this.currentLevel = this.levels[level];
         } else if (typeof level === 'number') {
@@ -213,6 +408,127 @@ class LoggerService {
         }
     }
 
+    /**
+     * Minimum level value for a component
+     * @param {string} component - context.component of the entry (may be undefined)
+     * @returns {number} Level value
+     */
+    levelFor(component) {
+        const name = (component !== undefined && this.levelRules[component]) || this.levelRules['*'];
+        return name ? this.levels[name] : this.currentLevel;
+    }
+
+    /**
+     * Parse level rules from 'apiservice:DEBUG,*:WARN' (a bare 'DEBUG' means '*') or an object
+     * Unknown levels are skipped.
+     * @param {string|Object} spec - Rules
+     * @returns {Object} { component: LEVEL }
+     */
+    parseLevels(spec) {
+        const pairs = spec && typeof spec === 'object'
+            ? Object.entries(spec)
+            : String(spec || '').split(',').map(part => {
+                const separator = part.lastIndexOf(':');
+                return separator === -1 ? ['*', part] : [part.slice(0, separator), part.slice(separator + 1)];
+            });
+
+        const levels = {};
+        pairs.forEach(([component, level]) => {
+            const name = String(level).trim().toUpperCase();
+            if (String(component).trim() && this.levels[name] !== undefined) {
+                levels[String(component).trim()] = name;
+            }
+        });
+        return levels;
+    }
+
+    /**
+     * Read level rules from localStorage and the page URL
+     * @param {string} search - Query string to read `logLevel` from (defaults to window.location.search)
+     */
+    loadLevelOverrides(search) {
+        const query = search !== undefined
+            ? search
+            : (typeof window !== 'undefined' && window.location ? window.location.search : '');
+        this.levelSources.url = this.parseLevels(new URLSearchParams(query).get('logLevel'));
+
+        try {
+            this.levelSources.storage = typeof localStorage !== 'undefined'
+                ? this.parseLevels(localStorage.getItem('logLevels'))
+                : {};
+        } catch (error) {
+            // Storage can be blocked (privacy settings); rules from it are optional
+            this.levelSources.storage = {};
+        }
+        this.resolveLevels();
+    }
+
+    /**
+     * Remember level rules in localStorage for later sessions
+     * @param {string|Object|null} spec - Rules (see parseLevels); null forgets them
+     */
+    saveLevels(spec) {
+        const levels = spec === null ? {} : this.parseLevels(spec);
+        const value = Object.entries(levels).map(([component, level]) => `${component}:${level}`).join(',');
+
+        if (value) {
+            localStorage.setItem('logLevels', value);
+        } else {
+            localStorage.removeItem('logLevels');
+        }
+        this.levelSources.storage = levels;
+        this.resolveLevels();
+    }
+
+    /**
+     * Apply an operator push ({ levels, ttl } or { levels: null } to clear it)
+     * The rules are dropped again after ttl ms.
+     * @param {Object} payload - From the live feed `log_level` message or GET /api/config/logging
+     */
+    applyRemoteLevels(payload = {}) {
+        clearTimeout(this.remoteLevelTimer);
+        this.remoteLevelTimer = null;
+
+        const ttl = payload.ttl !== undefined && payload.ttl !== null
+            ? payload.ttl
+            : (payload.expiresAt ? payload.expiresAt - Date.now() : 0);
+        const active = Boolean(payload.levels) && ttl > 0;
+
+        this.levelSources.remote = active ? this.parseLevels(payload.levels) : {};
+        if (active) {
+            this.remoteLevelTimer = setTimeout(() => this.applyRemoteLevels(), ttl);
+        }
+        this.resolveLevels();
+        this.events.emit('levels', { levels: this.getLevels(), expiresAt: active ? Date.now() + ttl : null });
+    }
+
+    /**
+     * Apply the server's logging configuration (GET /api/config/logging)
+     * @param {Object} config - { level, levels, ttl }
+     */
+    applyConfig(config = {}) {
+        this.setLevel(config.level);
+        if (config.levels) {
+            this.applyRemoteLevels(config);
+        }
+    }
+
+    /**
+     * Merge the rule sources, higher precedence winning per component
+     */
+    resolveLevels() {
+        const { storage, url, runtime, remote } = this.levelSources;
+        this.levelRules = { ...storage, ...url, ...runtime, ...remote };
+    }
+
+    /**
+     * Effective per-component rules
+     * @returns {Object} { component: LEVEL }
+     */
+    getLevels() {
+        return { ...this.levelRules };
+    }
+
     /**
      * Get recent logs from buffer
      */
@@ -231,9 +547,11 @@ class LoggerService {
      * Cleanup
      */
     destroy() {
-        this.stopFlushInterval();
-        this.flush(); // Final flush
-        this.listeners = [];
+        clearTimeout(this.remoteLevelTimer);
+        this.flushRepeat();
+        // Closing flushes what each sink still holds
+        [...this.transports].forEach(transport => this.removeTransport(transport));
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
         this.logBuffer = [];
     }
 }
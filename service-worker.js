@@ -3,11 +3,15 @@
  * Enables offline capabilities and caching for IPFS deployment
  */
 
-const CACHE_NAME = 'resonance-school-v1';
+const CACHE_NAME = 'resonance-school-v5';
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
+    '/event-bus.js',
+    '/snapshot-store.js',
     '/api-service.js',
+    '/log-transports.js',
+    '/log-redactor.js',
     '/logger-service.js',
     '/notification-service.js',
     '/live-terminal.js',
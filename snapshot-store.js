@@ -0,0 +1,334 @@
+/**
+ * Snapshot Store for Resonance School Live Monitor
+ * Persists last-known-good dashboard data, the log retry queue and local log history
+ * in IndexedDB, with an in-memory fallback where IndexedDB is unavailable
+ */
+
+class SnapshotStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'resonance-terminal';
+        this.version = 2;
+        this.db = null;
+        this.backend = null;
+        this.opening = null;
+        // Used when IndexedDB is missing or refuses to open (Node.js, some private modes)
+        this.memory = {
+            snapshots: new Map(),
+            logQueue: new Map(),
+            logs: []
+        };
+        this.nextQueueId = 1;
+        // Local log history written by the IndexedDB log transport; oldest entries go first
+        this.maxStoredLogs = options.maxStoredLogs || 1000;
+        // Outbox bound: when full, 'drop-oldest' evicts the oldest entry, 'drop-newest' refuses the new one
+        this.maxQueuedLogs = options.maxQueuedLogs || 1000;
+        this.evictionPolicy = options.evictionPolicy || 'drop-oldest';
+        this.evicted = 0;
+    }
+
+    /**
+     * Open the database once; every other method waits for this
+     * @returns {Promise<string>} Backend in use: 'indexeddb' or 'memory'
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = this.openDatabase()
+                .then(db => {
+                    this.db = db;
+                    this.backend = 'indexeddb';
+                })
+                .catch(error => {
+                    if (error) {
+                        console.warn('[SnapshotStore] IndexedDB unavailable, keeping snapshots in memory:', error);
+                    }
+                    this.backend = 'memory';
+                })
+                .then(() => this.importLegacyQueue())
+                .catch(error => {
+                    console.warn('[SnapshotStore] Failed to import the legacy log queue:', error);
+                })
+                .then(() => this.backend);
+        }
+        return this.opening;
+    }
+
+    /**
+     * Open (and if needed create) the IndexedDB database
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('snapshots')) {
+                    db.createObjectStore('snapshots', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('logQueue')) {
+                    db.createObjectStore('logQueue', { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains('logs')) {
+                    db.createObjectStore('logs', { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+        });
+    }
+
+    /**
+     * Run a request against one object store and resolve when the transaction commits
+     * @param {string} storeName - 'snapshots', 'logQueue' or 'logs'
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest|void
+     * @returns {Promise<*>} Result of the request
+     */
+    transaction(storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Save the latest successful response for a key
+     * @param {string} key - Snapshot key (request path)
+     * @param {Object} data - Response data
+     * @param {number} timestamp - When it was fetched
+     * @returns {Promise<Object>} Stored record { key, data, timestamp }
+     */
+    async putSnapshot(key, data, timestamp = Date.now()) {
+        await this.open();
+        const record = { key, data, timestamp };
+
+        if (this.backend === 'memory') {
+            this.memory.snapshots.set(key, record);
+        } else {
+            await this.transaction('snapshots', 'readwrite', store => store.put(record));
+        }
+        return record;
+    }
+
+    /**
+     * Read a snapshot
+     * @param {string} key - Snapshot key
+     * @returns {Promise<Object|null>} { key, data, timestamp }
+     */
+    async getSnapshot(key) {
+        await this.open();
+
+        if (this.backend === 'memory') {
+            return this.memory.snapshots.get(key) || null;
+        }
+        const record = await this.transaction('snapshots', 'readonly', store => store.get(key));
+        return record || null;
+    }
+
+    /**
+     * Add a log entry to the retry queue, evicting per the policy when full
+     * @param {Object} entry - Log entry (carrying its idempotencyKey)
+     * @returns {Promise<number|null>} Queue ID, or null if the entry was refused
+     */
+    async enqueueLog(entry) {
+        await this.open();
+        return this.insertQueued({ entry, queuedAt: Date.now(), attempts: 0, nextAttemptAt: 0 });
+    }
+
+    /**
+     * Write a queue record and enforce the size cap (the store must already be open)
+     * @returns {Promise<number|null>} Queue ID, or null if refused
+     */
+    async insertQueued(record) {
+        if (this.evictionPolicy === 'drop-newest' && await this.countQueuedLogs() >= this.maxQueuedLogs) {
+            this.evicted++;
+            return null;
+        }
+
+        if (this.backend === 'memory') {
+            const id = this.nextQueueId++;
+            this.memory.logQueue.set(id, { id, ...record });
+
+            const queue = this.memory.logQueue;
+            while (queue.size > this.maxQueuedLogs) {
+                queue.delete(queue.keys().next().value);
+                this.evicted++;
+            }
+            return id;
+        }
+
+        let evicted = 0;
+        const id = await this.transaction('logQueue', 'readwrite', store => {
+            const request = store.add(record);
+            // Trim in the same transaction so the cap holds even if the page closes
+            store.count().onsuccess = (event) => {
+                const excess = event.target.result - this.maxQueuedLogs;
+                if (excess > 0) {
+                    store.getAllKeys(null, excess).onsuccess = (keysEvent) => {
+                        keysEvent.target.result.forEach(key => store.delete(key));
+                    };
+                    evicted = excess;
+                }
+            };
+            return request;
+        });
+        this.evicted += evicted;
+        return id;
+    }
+
+    /**
+     * Number of queued log entries (the store must already be open)
+     * @returns {Promise<number>}
+     */
+    async countQueuedLogs() {
+        if (this.backend === 'memory') {
+            return this.memory.logQueue.size;
+        }
+        return this.transaction('logQueue', 'readonly', store => store.count());
+    }
+
+    /**
+     * Save retry bookkeeping (attempts, nextAttemptAt) for queued entries
+     * @param {Array<Object>} records - Records from getQueuedLogs
+     */
+    async updateQueuedLogs(records) {
+        await this.open();
+
+        if (this.backend === 'memory') {
+            records.forEach(record => {
+                if (this.memory.logQueue.has(record.id)) {
+                    this.memory.logQueue.set(record.id, record);
+                }
+            });
+            return;
+        }
+        await this.transaction('logQueue', 'readwrite', store => {
+            // Skip records evicted or delivered in the meantime
+            records.forEach(record => {
+                store.getKey(record.id).onsuccess = (event) => {
+                    if (event.target.result !== undefined) {
+                        store.put(record);
+                    }
+                };
+            });
+        });
+    }
+
+    /**
+     * Read queued log entries, oldest first
+     * @param {number} limit - Maximum number of entries
+     * @returns {Promise<Array>} [{ id, entry, queuedAt }]
+     */
+    async getQueuedLogs(limit = Infinity) {
+        await this.open();
+
+        if (this.backend === 'memory') {
+            return [...this.memory.logQueue.values()].slice(0, limit);
+        }
+        const records = await this.transaction('logQueue', 'readonly', store => store.getAll());
+        return records.slice(0, limit);
+    }
+
+    /**
+     * Remove entries from the retry queue
+     * @param {Array<number>} ids - Queue IDs
+     */
+    async removeQueuedLogs(ids) {
+        await this.open();
+
+        if (this.backend === 'memory') {
+            ids.forEach(id => this.memory.logQueue.delete(id));
+            return;
+        }
+        await this.transaction('logQueue', 'readwrite', store => {
+            ids.forEach(id => store.delete(id));
+        });
+    }
+
+    /**
+     * Append entries to the local log history, dropping the oldest beyond maxStoredLogs
+     * @param {Array<Object>} entries - Log entries
+     */
+    async appendStoredLogs(entries) {
+        await this.open();
+
+        if (this.backend === 'memory') {
+            this.memory.logs.push(...entries);
+            if (this.memory.logs.length > this.maxStoredLogs) {
+                this.memory.logs.splice(0, this.memory.logs.length - this.maxStoredLogs);
+            }
+            return;
+        }
+        await this.transaction('logs', 'readwrite', store => {
+            entries.forEach(entry => store.add({ entry }));
+            store.count().onsuccess = (event) => {
+                const excess = event.target.result - this.maxStoredLogs;
+                if (excess > 0) {
+                    store.getAllKeys(null, excess).onsuccess = (keysEvent) => {
+                        keysEvent.target.result.forEach(key => store.delete(key));
+                    };
+                }
+            };
+        });
+    }
+
+    /**
+     * Read the most recent entries of the local log history, oldest first
+     * @param {number} limit - Maximum number of entries
+     * @returns {Promise<Array<Object>>} Log entries
+     */
+    async getStoredLogs(limit = Infinity) {
+        await this.open();
+
+        if (this.backend === 'memory') {
+            return this.memory.logs.slice(-limit);
+        }
+        const records = await this.transaction('logs', 'readonly', store => store.getAll());
+        return records.slice(-limit).map(record => record.entry);
+    }
+
+    /**
+     * Delete the local log history
+     */
+    async clearStoredLogs() {
+        await this.open();
+
+        if (this.backend === 'memory') {
+            this.memory.logs = [];
+            return;
+        }
+        await this.transaction('logs', 'readwrite', store => store.clear());
+    }
+
+    /**
+     * Move the old localStorage `logQueue` blob into the store
+     */
+    async importLegacyQueue() {
+        if (typeof localStorage === 'undefined') return;
+
+        let legacy;
+        try {
+            legacy = JSON.parse(localStorage.getItem('logQueue') || '[]');
+        } catch (error) {
+            legacy = [];
+        }
+
+        for (const entry of legacy) {
+            await this.insertQueued({ entry, queuedAt: Date.now(), attempts: 0, nextAttemptAt: 0 });
+        }
+        localStorage.removeItem('logQueue');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnapshotStore;
+}
@@ -46,13 +46,21 @@ class SyntheiaGovernance {
 
         this.monitoring = null;
         this.initialized = false;
+
+        // Alerts are published on the shared bus as 'syntheia:alert' (event-bus.js)
+        const Bus = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus.js');
+        this.eventBus = config.eventBus || new Bus();
+        this.events = this.eventBus.namespace('syntheia');
+        // A LoggerService child from the live terminal, or the console when used standalone
+        const Logger = typeof LoggerService !== 'undefined' ? LoggerService : require('./logger-service.js');
+        this.logger = config.logger || Logger.createConsoleLogger({ component: 'syntheia' });
     }
 
     /**
      * Initialize SYNTHEIA autonomous governance
      */
     async initialize() {
-        console.log('[SYNTHEIA] Initializing autonomous governance system...');
+        this.logger.info('Initializing autonomous governance system...');
         
         try {
             // Load PACT metadata
@@ -68,7 +76,7 @@ class SyntheiaGovernance {
             this.enableAutonomousDecisions();
             
             this.initialized = true;
-            console.log('[SYNTHEIA] Autonomous governance system initialized successfully');
+            this.logger.info('Autonomous governance system initialized successfully');
             
             this.logDecision({
                 type: 'INITIALIZATION',
@@ -80,7 +88,7 @@ class SyntheiaGovernance {
             
             return true;
         } catch (error) {
-            console.error('[SYNTHEIA] Initialization failed:', error);
+            this.logger.error('Initialization failed', { error: error.message });
             this.createAlert('CRITICAL', 'Failed to initialize SYNTHEIA governance', error);
             return false;
         }
@@ -94,7 +102,7 @@ class SyntheiaGovernance {
             const response = await fetch('/.PACT_METADATA.json');
             if (response.ok) {
                 this.pactMetadata = await response.json();
-                console.log('[SYNTHEIA] PACT metadata loaded:', this.pactMetadata.protocol);
+                this.logger.info('PACT metadata loaded', { protocol: this.pactMetadata.protocol });
                 
                 // Update state from metadata
                 this.state.kosymbiosis = {
@@ -104,11 +112,11 @@ class SyntheiaGovernance {
                 
                 return this.pactMetadata;
             } else {
-                console.warn('[SYNTHEIA] PACT metadata not found, using defaults');
+                this.logger.warn('PACT metadata not found, using defaults');
                 return null;
             }
         } catch (error) {
-            console.warn('[SYNTHEIA] Could not load PACT metadata:', error.message);
+            this.logger.warn('Could not load PACT metadata', { error: error.message });
             return null;
         }
     }
@@ -145,7 +153,7 @@ class SyntheiaGovernance {
             });
         }
 
-        console.log(`[SYNTHEIA] Monitoring ${this.state.nodes.length} distributed nodes`);
+        this.logger.info('Monitoring distributed nodes', { nodes: this.state.nodes.length });
     }
 
     /**
@@ -159,7 +167,7 @@ class SyntheiaGovernance {
             this.evaluateAutonomousDecisions();
         }, this.config.monitoringInterval);
 
-        console.log(`[SYNTHEIA] Coherence monitoring active at ${this.config.monitoringInterval}ms intervals`);
+        this.logger.info('Coherence monitoring active', { interval: this.config.monitoringInterval });
     }
 
     /**
@@ -238,7 +246,7 @@ class SyntheiaGovernance {
      * Enable autonomous decision flows
      */
     enableAutonomousDecisions() {
-        console.log('[SYNTHEIA] Autonomous decision flows enabled');
+        this.logger.info('Autonomous decision flows enabled');
         
         // Register decision handlers
         this.decisionHandlers = {
@@ -279,7 +287,7 @@ class SyntheiaGovernance {
         const handler = this.decisionHandlers[decisionType];
         
         if (!handler) {
-            console.warn(`[SYNTHEIA] No handler for decision type: ${decisionType}`);
+            this.logger.warn('No handler for decision type', { decisionType });
             return;
         }
 
@@ -308,24 +316,24 @@ class SyntheiaGovernance {
      * Decision Handlers
      */
     handleCoherenceDrop(decision) {
-        console.log('[SYNTHEIA] Autonomous decision: Remediate coherence drop');
+        this.logger.info('Autonomous decision: Remediate coherence drop');
         return this.remediateCoherence();
     }
 
     handleConsensusLoss(decision) {
-        console.log('[SYNTHEIA] Autonomous decision: Restore consensus');
+        this.logger.info('Autonomous decision: Restore consensus');
         // Attempt to resynchronize nodes
         return this.resynchronizeNodes();
     }
 
     handleNodeFailure(decision) {
-        console.log('[SYNTHEIA] Autonomous decision: Handle node failure', decision.context.nodes);
+        this.logger.info('Autonomous decision: Handle node failure', { nodes: decision.context.nodes });
         // Redistribute load, attempt recovery
         return this.redistributeLoad(decision.context.nodes);
     }
 
     handleStabilityChange(decision) {
-        console.log('[SYNTHEIA] Autonomous decision: Adjust stability parameters');
+        this.logger.info('Autonomous decision: Adjust stability parameters');
         return this.adjustStabilityParameters();
     }
 
@@ -333,7 +341,7 @@ class SyntheiaGovernance {
      * Remediation Actions
      */
     remediateCoherence() {
-        console.log('[SYNTHEIA] Remediating coherence...');
+        this.logger.info('Remediating coherence...');
         
         // Find nodes with low coherence
         const lowCoherenceNodes = this.state.nodes.filter(n => n.coherence < 0.9);
@@ -352,7 +360,7 @@ class SyntheiaGovernance {
     }
 
     resynchronizeNodes() {
-        console.log('[SYNTHEIA] Resynchronizing nodes...');
+        this.logger.info('Resynchronizing nodes...');
         
         const unsyncedNodes = this.state.nodes.filter(n => !n.synchronized);
         
@@ -370,7 +378,7 @@ class SyntheiaGovernance {
     }
 
     redistributeLoad(failedNodes) {
-        console.log('[SYNTHEIA] Redistributing load from failed nodes...');
+        this.logger.info('Redistributing load from failed nodes...');
         
         return {
             action: 'LOAD_REDISTRIBUTION',
@@ -380,7 +388,7 @@ class SyntheiaGovernance {
     }
 
     adjustStabilityParameters() {
-        console.log('[SYNTHEIA] Adjusting stability parameters...');
+        this.logger.info('Adjusting stability parameters...');
         
         return {
             action: 'STABILITY_ADJUSTMENT',
@@ -399,7 +407,7 @@ class SyntheiaGovernance {
             this.state.decisions = this.state.decisions.slice(-100);
         }
 
-        console.log('[SYNTHEIA] Decision logged:', decision.type, decision.level);
+        this.logger.debug('Decision logged', { type: decision.type, level: decision.level });
     }
 
     createAlert(severity, message, context = {}) {
@@ -417,12 +425,10 @@ class SyntheiaGovernance {
             this.state.alerts = this.state.alerts.slice(-50);
         }
 
-        console.log(`[SYNTHEIA] ${severity}: ${message}`);
+        this.logger[{ CRITICAL: 'critical', WARNING: 'warn' }[severity] || 'info'](message, { severity });
 
         // Emit alert event
-        if (typeof window !== 'undefined') {
-            window.dispatchEvent(new CustomEvent('syntheia:alert', { detail: alert }));
-        }
+        this.events.emit('alert', alert);
     }
 
     /**
@@ -477,7 +483,7 @@ class SyntheiaGovernance {
             timestamp: new Date().toISOString()
         });
 
-        console.log('[SYNTHEIA] Autonomous governance system shutdown');
+        this.logger.info('Autonomous governance system shutdown');
     }
 }
 
@@ -0,0 +1,14 @@
+/**
+ * Jest Global Setup
+ * 
+ * @license MIT
+ * @description Creates one temporary directory per test run for the per-file data directories
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+module.exports = () => {
+    process.env.RESONANCE_TEST_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'resonance-run-'));
+};
@@ -0,0 +1,14 @@
+/**
+ * Jest Global Teardown
+ * 
+ * @license MIT
+ * @description Removes the test run directory and every data directory inside it
+ */
+
+const fs = require('fs');
+
+module.exports = () => {
+    if (process.env.RESONANCE_TEST_ROOT) {
+        fs.rmSync(process.env.RESONANCE_TEST_ROOT, { recursive: true, force: true });
+    }
+};
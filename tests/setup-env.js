@@ -0,0 +1,14 @@
+/**
+ * Jest Environment Setup
+ * 
+ * @license MIT
+ * @description Gives every test file its own data directory for file-backed stores,
+ * inside the run directory that global-teardown.js removes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = process.env.RESONANCE_TEST_ROOT || os.tmpdir();
+process.env.DATA_DIR = fs.mkdtempSync(path.join(root, 'resonance-test-'));
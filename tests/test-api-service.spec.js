@@ -0,0 +1,431 @@
+/**
+ * API Service Tests
+ *
+ * @license MIT
+ * @description Tests for the client API service: connection state, resume, fallbacks and the log outbox
+ */
+
+const APIService = require('../api-service');
+const LoggerService = require('../logger-service');
+const SnapshotStore = require('../snapshot-store');
+
+// Browser storage used for the node ID
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+const silentLogger = LoggerService.bindLogger(() => {}, {});
+
+function jsonResponse(body, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: () => null },
+        json: async () => body
+    };
+}
+
+function createService(config = {}) {
+    return new APIService({
+        baseURL: 'http://api.test',
+        logger: silentLogger,
+        retry: { retries: 0 },
+        ...config
+    });
+}
+
+function openSocket(api) {
+    api.ws = { readyState: 1, sent: [], send(data) { this.sent.push(JSON.parse(data)); }, close() {} };
+    return api.ws;
+}
+
+// Stand-in for the browser WebSocket; tests open and close it as the server would
+class FakeWebSocket {
+    constructor(url, protocols) {
+        this.url = url;
+        this.protocols = protocols;
+        this.readyState = 0;
+        FakeWebSocket.instances.push(this);
+    }
+
+    send() {}
+
+    close() {}
+
+    serverOpen() {
+        this.readyState = 1;
+        this.onopen();
+    }
+
+    serverClose(code, reason) {
+        this.readyState = 3;
+        this.onclose({ code, reason });
+    }
+}
+FakeWebSocket.instances = [];
+
+// Let the zero-delay reconnect timer and the token refresh run
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+describe('APIService', () => {
+    const originalFetch = global.fetch;
+    let api;
+
+    beforeEach(() => {
+        global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+        api.disconnect();
+        global.fetch = originalFetch;
+    });
+
+    it('should work in Node.js without browser globals', () => {
+        api = new APIService({ logger: silentLogger });
+
+        expect(api.snapshotStore).toBeInstanceOf(SnapshotStore);
+        expect(api.getConnectionState().state).toBe('idle');
+    });
+
+    describe('Connection state', () => {
+        it('should emit state changes with the previous state', () => {
+            api = createService();
+            const changes = [];
+            api.on('stateChange', change => changes.push(change));
+
+            api.setConnectionState('connecting');
+            api.setConnectionState('connecting');
+            api.setConnectionState('open');
+
+            expect(changes.map(c => [c.previous, c.state])).toEqual([['idle', 'connecting'], ['connecting', 'open']]);
+        });
+
+        it('should close for good on disconnect and release listeners', () => {
+            api = createService();
+            const listener = jest.fn();
+            api.on('logEntry', listener);
+
+            api.disconnect();
+            api.emit('logEntry', {});
+            api.attemptReconnect();
+
+            expect(api.getConnectionState().state).toBe('closed');
+            expect(api.reconnectTimer).toBeNull();
+            expect(listener).not.toHaveBeenCalled();
+        });
+
+        it('should keep reconnect delays below the doubling ceiling', () => {
+            api = createService({ reconnectDelay: 1000, maxReconnectDelay: 30000 });
+
+            for (let attempt = 1; attempt <= 10; attempt++) {
+                const delay = api.getReconnectDelay(attempt);
+                expect(delay).toBeGreaterThanOrEqual(0);
+                expect(delay).toBeLessThan(Math.min(30000, 1000 * Math.pow(2, attempt - 1)));
+            }
+        });
+    });
+
+    describe('Token expiry', () => {
+        const originalWebSocket = global.WebSocket;
+
+        beforeEach(() => {
+            FakeWebSocket.instances = [];
+            global.WebSocket = FakeWebSocket;
+            // Zero reconnect delay
+            jest.spyOn(Math, 'random').mockReturnValue(0);
+        });
+
+        afterEach(() => {
+            global.WebSocket = originalWebSocket;
+            jest.restoreAllMocks();
+        });
+
+        it('should refresh the access token and reconnect when it expires', async () => {
+            api = createService({ authToken: 'access-1', refreshToken: 'refresh-1' });
+            const refreshed = jest.fn();
+            api.on('tokenRefreshed', refreshed);
+            global.fetch.mockResolvedValueOnce(jsonResponse({ accessToken: 'access-2', refreshToken: 'refresh-2', expiresIn: 900 }));
+
+            api.initWebSocket();
+            FakeWebSocket.instances[0].serverOpen();
+            FakeWebSocket.instances[0].serverClose(4419, 'Token expired');
+            expect(api.getConnectionState().state).toBe('backing-off');
+            await settle();
+
+            const [url, options] = global.fetch.mock.calls[0];
+            expect(url).toBe('http://api.test/api/auth/refresh');
+            expect(JSON.parse(options.body)).toEqual({ refreshToken: 'refresh-1' });
+            expect(FakeWebSocket.instances).toHaveLength(2);
+            expect(FakeWebSocket.instances[1].protocols).toEqual(['resonance.v1', 'bearer.access-2']);
+            expect(api.refreshToken).toBe('refresh-2');
+            expect(refreshed).toHaveBeenCalledWith(expect.objectContaining({ accessToken: 'access-2', expiresIn: 900 }), expect.anything());
+        });
+
+        it('should use the refreshAuth hook when one is configured', async () => {
+            const refreshAuth = jest.fn().mockResolvedValue({ accessToken: 'access-2' });
+            api = createService({ authToken: 'access-1', refreshAuth });
+
+            api.initWebSocket();
+            FakeWebSocket.instances[0].serverClose(4419, 'Token expired');
+            await settle();
+
+            expect(refreshAuth).toHaveBeenCalledWith(api);
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(FakeWebSocket.instances[1].protocols).toEqual(['resonance.v1', 'bearer.access-2']);
+        });
+
+        it('should keep retrying a refresh that cannot reach the server', async () => {
+            api = createService({ authToken: 'access-1', refreshToken: 'refresh-1' });
+            global.fetch
+                .mockRejectedValueOnce(new Error('Failed to fetch'))
+                .mockResolvedValueOnce(jsonResponse({ accessToken: 'access-2' }));
+
+            api.initWebSocket();
+            FakeWebSocket.instances[0].serverClose(4419, 'Token expired');
+            await settle();
+            await settle();
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(FakeWebSocket.instances).toHaveLength(2);
+            expect(api.getConnectionState().state).toBe('connecting');
+        });
+
+        it('should stop for good when the refresh is refused', async () => {
+            api = createService({ authToken: 'access-1', refreshToken: 'revoked' });
+            const authFailed = jest.fn();
+            api.on('authFailed', authFailed);
+            global.fetch.mockResolvedValueOnce(jsonResponse({ error: 'Unauthorized' }, 401));
+
+            api.initWebSocket();
+            FakeWebSocket.instances[0].serverClose(4419, 'Token expired');
+            await settle();
+
+            expect(api.getConnectionState().state).toBe('closed');
+            expect(authFailed).toHaveBeenCalledTimes(1);
+            expect(FakeWebSocket.instances).toHaveLength(1);
+        });
+
+        it('should keep the outbox timer running after the socket was refused', async () => {
+            api = createService({ apiKey: 'revoked-key' });
+            api.initWebSocket();
+            FakeWebSocket.instances[0].serverClose(4401, 'API key revoked');
+            await api.snapshotStore.enqueueLog({ level: 'INFO', message: 'Queued', idempotencyKey: 'key-queued' });
+
+            await api.scheduleLogQueue();
+
+            expect(api.getConnectionState().state).toBe('closed');
+            expect(api.logQueueTimer).not.toBeNull();
+        });
+    });
+
+    describe('Resume', () => {
+        it('should resume from the last delivered sequence on reconnect', () => {
+            api = createService();
+            const ws = openSocket(api);
+
+            api.handleMessage({ type: 'connected', payload: { epoch: 'run1', seq: 5 } });
+            expect(ws.sent).toEqual([]);
+
+            api.handleMessage({ type: 'log_entry', payload: {}, seq: 7 });
+            api.handleMessage({ type: 'connected', payload: { epoch: 'run1', seq: 9 } });
+
+            expect(ws.sent).toEqual([{ type: 'resume', lastSeq: 7, epoch: 'run1' }]);
+        });
+
+        it('should deliver each sequence once and in order when live events overtake the replay', () => {
+            api = createService();
+            openSocket(api);
+            const delivered = [];
+            api.on('logEntry', payload => delivered.push(payload.n));
+
+            api.handleMessage({ type: 'connected', payload: { epoch: 'run1', seq: 5 } });
+            api.handleMessage({ type: 'log_entry', payload: { n: 6 }, seq: 6 });
+            api.handleMessage({ type: 'connected', payload: { epoch: 'run1', seq: 8 } });
+            api.handleMessage({ type: 'log_entry', payload: { n: 9 }, seq: 9 });
+            api.handleMessage({ type: 'log_entry', payload: { n: 7 }, seq: 7, replayed: true });
+            api.handleMessage({ type: 'log_entry', payload: { n: 8 }, seq: 8, replayed: true });
+            api.handleMessage({ type: 'log_entry', payload: { n: 9 }, seq: 9, replayed: true });
+
+            expect(delivered).toEqual([6, 7, 8, 9]);
+
+            api.handleMessage({ type: 'resumed', payload: { seq: 9 } });
+            api.handleMessage({ type: 'log_entry', payload: { n: 10 }, seq: 10 });
+
+            expect(delivered).toEqual([6, 7, 8, 9, 10]);
+            expect(api.lastSeq).toBe(10);
+        });
+
+        it('should accept the replay of a restarted server from its first sequence', () => {
+            api = createService();
+            openSocket(api);
+            const delivered = [];
+            api.on('logEntry', payload => delivered.push(payload.n));
+
+            api.handleMessage({ type: 'connected', payload: { epoch: 'run1', seq: 40 } });
+            api.handleMessage({ type: 'log_entry', payload: { n: 41 }, seq: 41 });
+            api.handleMessage({ type: 'connected', payload: { epoch: 'run2', seq: 2 } });
+            api.handleMessage({ type: 'gap', payload: { reason: 'server_restart' } });
+            api.handleMessage({ type: 'log_entry', payload: { n: 1 }, seq: 1, replayed: true });
+            api.handleMessage({ type: 'log_entry', payload: { n: 2 }, seq: 2, replayed: true });
+            api.handleMessage({ type: 'resumed', payload: { seq: 2 } });
+
+            expect(delivered).toEqual([41, 1, 2]);
+            expect(api.serverEpoch).toBe('run2');
+        });
+    });
+
+    describe('Fallbacks', () => {
+        it('should tag live responses and serve the stored snapshot when a request fails', async () => {
+            api = createService();
+            global.fetch.mockResolvedValueOnce(jsonResponse({ nodes: ['onna'] }));
+            const live = await api.fetchNodeStatuses();
+            await new Promise(resolve => setImmediate(resolve));
+
+            const restarted = createService({ snapshotStore: api.snapshotStore });
+            global.fetch.mockRejectedValueOnce(new Error('Failed to fetch'));
+            const cached = await restarted.fetchNodeStatuses();
+            restarted.disconnect();
+
+            expect(live.provenance.source).toBe('live');
+            expect(cached.nodes).toEqual(['onna']);
+            expect(cached.provenance).toMatchObject({ source: 'cached', timestamp: live.provenance.timestamp, error: 'Failed to fetch' });
+        });
+
+        it('should throw without a snapshot unless mock fallback is enabled', async () => {
+            api = createService();
+            global.fetch.mockRejectedValue(new Error('Failed to fetch'));
+
+            await expect(api.fetchWalletBalance()).rejects.toThrow('Failed to fetch');
+
+            api.mockFallback = true;
+            const mock = await api.fetchWalletBalance();
+            expect(mock.provenance.source).toBe('mock');
+        });
+    });
+
+    describe('Log outbox', () => {
+        it('should queue failed log deliveries with idempotency keys and deliver them later', async () => {
+            api = createService();
+            global.fetch.mockRejectedValueOnce(new Error('Failed to fetch'));
+
+            await api.sendLog({ entries: [{ level: 'WARN', message: 'Offline' }] });
+            const [queued] = await api.snapshotStore.getQueuedLogs();
+            expect(queued.entry.idempotencyKey).toEqual(expect.any(String));
+
+            global.fetch.mockResolvedValueOnce(jsonResponse({ success: true }));
+            await api.processLogQueue();
+
+            const body = JSON.parse(global.fetch.mock.calls[1][1].body);
+            expect(body.entries[0]).toMatchObject({ message: 'Offline', idempotencyKey: queued.entry.idempotencyKey });
+            expect(await api.snapshotStore.getQueuedLogs()).toEqual([]);
+        });
+
+        it('should back off queued entries after a failed attempt', async () => {
+            api = createService();
+            await api.snapshotStore.enqueueLog({ level: 'INFO', message: 'Queued', idempotencyKey: 'key-queued' });
+            global.fetch.mockRejectedValueOnce(new Error('Failed to fetch'));
+
+            await api.processLogQueue();
+
+            const [record] = await api.snapshotStore.getQueuedLogs();
+            expect(record.attempts).toBe(1);
+            expect(record.nextAttemptAt).toBeGreaterThanOrEqual(Date.now() - 1);
+        });
+
+        it('should drop entries the server rejects', async () => {
+            api = createService();
+            global.fetch.mockResolvedValueOnce(jsonResponse({ error: 'Validation Error' }, 400));
+
+            await api.sendLog({ level: 'INFO', message: 'Invalid' });
+
+            expect(await api.snapshotStore.getQueuedLogs()).toEqual([]);
+        });
+
+        it('should drop only the entries the server reports as rejected', async () => {
+            api = createService();
+            global.fetch.mockResolvedValueOnce(jsonResponse({
+                success: true,
+                received: 1,
+                rejected: [{ index: 1, details: [{ field: 'entries.1.level', message: '"level" must be one of [DEBUG, INFO, WARN, ERROR, CRITICAL]' }] }]
+            }));
+            const errors = [];
+            api.deliveryLogger = { warn: () => {}, error: (message, context) => errors.push(context) };
+
+            await api.sendLog({ entries: [{ level: 'INFO', message: 'Valid' }, { level: 'LOUD', message: 'Invalid' }] });
+
+            expect(errors).toEqual([expect.objectContaining({ level: 'LOUD' })]);
+            expect(await api.snapshotStore.getQueuedLogs()).toEqual([]);
+        });
+
+        it('should cut messages to the server limit before sending', async () => {
+            api = createService();
+            global.fetch.mockResolvedValueOnce(jsonResponse({ success: true, received: 1, rejected: [] }));
+
+            await api.sendLog({ level: 'INFO', message: 'x'.repeat(1500) });
+
+            const [entry] = JSON.parse(global.fetch.mock.calls[0][1].body).entries;
+            expect(entry.message).toHaveLength(1000);
+            expect(entry.message.endsWith('\u2026')).toBe(true);
+        });
+
+        it('should drop only the rejected entries of a queued batch', async () => {
+            api = createService();
+            await api.snapshotStore.enqueueLog({ level: 'INFO', message: 'First', idempotencyKey: 'key-first' });
+            await api.snapshotStore.enqueueLog({ level: 'LOUD', message: 'Invalid', idempotencyKey: 'key-invalid' });
+            await api.snapshotStore.enqueueLog({ level: 'WARN', message: 'Third', idempotencyKey: 'key-third' });
+            global.fetch.mockResolvedValueOnce(jsonResponse({
+                success: true,
+                received: 2,
+                rejected: [{ index: 1, details: [{ field: 'entries.1.level', message: '"level" must be one of [DEBUG, INFO, WARN, ERROR, CRITICAL]' }] }]
+            }));
+            const errors = [];
+            api.deliveryLogger = { warn: () => {}, error: (message, context) => errors.push(context) };
+
+            await api.processLogQueue();
+
+            const [body] = global.fetch.mock.calls.map(call => JSON.parse(call[1].body));
+            expect(body.entries.map(e => e.idempotencyKey)).toEqual(['key-first', 'key-invalid', 'key-third']);
+            expect(errors).toEqual([expect.objectContaining({ idempotencyKey: 'key-invalid' })]);
+            expect(await api.snapshotStore.getQueuedLogs()).toEqual([]);
+        });
+
+        it('should keep a queued batch when the server cannot be reached', async () => {
+            api = createService({ logRetry: { batchSize: 2 } });
+            await api.snapshotStore.enqueueLog({ level: 'INFO', message: 'First', idempotencyKey: 'key-first' });
+            await api.snapshotStore.enqueueLog({ level: 'LOUD', message: 'Invalid', idempotencyKey: 'key-invalid' });
+            await api.snapshotStore.enqueueLog({ level: 'WARN', message: 'Third', idempotencyKey: 'key-third' });
+            global.fetch
+                .mockResolvedValueOnce(jsonResponse({
+                    success: true,
+                    received: 1,
+                    rejected: [{ index: 1, details: [{ field: 'entries.1.level', message: 'invalid level' }] }]
+                }))
+                .mockRejectedValueOnce(new Error('Failed to fetch'));
+
+            await api.processLogQueue();
+
+            const queued = await api.snapshotStore.getQueuedLogs();
+            expect(queued.map(record => record.entry.idempotencyKey)).toEqual(['key-third']);
+            expect(queued[0].attempts).toBe(1);
+        });
+
+        it('should split a batch the server finds too large', async () => {
+            api = createService();
+            global.fetch
+                .mockResolvedValueOnce(jsonResponse({ error: 'Payload Too Large' }, 413))
+                .mockResolvedValueOnce(jsonResponse({ success: true, received: 1, rejected: [] }))
+                .mockResolvedValueOnce(jsonResponse({ success: true, received: 1, rejected: [] }));
+
+            await api.sendLog({ entries: [{ level: 'INFO', message: 'First' }, { level: 'INFO', message: 'Second' }] });
+
+            const batches = global.fetch.mock.calls.map(call => JSON.parse(call[1].body).entries.map(e => e.message));
+            expect(batches).toEqual([['First', 'Second'], ['First'], ['Second']]);
+            expect(await api.snapshotStore.getQueuedLogs()).toEqual([]);
+        });
+    });
+});
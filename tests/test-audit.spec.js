@@ -0,0 +1,105 @@
+/**
+ * Audit Journal Tests
+ * 
+ * @license MIT
+ * @description Tests for the hash-chained audit journal
+ */
+
+const fs = require('fs');
+const { AuditJournal, GENESIS_HASH } = require('../backend/audit-journal');
+
+describe('Audit Journal', () => {
+    let journal;
+    let counter = 0;
+    
+    beforeEach(() => {
+        counter++;
+        journal = new AuditJournal({
+            file: `audit-${counter}.jsonl`,
+            headFile: `audit-${counter}.head.json`
+        });
+        
+        journal.append({ operation: 'auth.login', user: 'alice' });
+        journal.append({ operation: 'apikey.create', user: 'admin', keyId: 'key_1' });
+        journal.append({ operation: 'auth.login', user: 'bob' });
+    });
+    
+    function rewriteLines(transform) {
+        const lines = fs.readFileSync(journal.filePath, 'utf8').trim().split('\n');
+        fs.writeFileSync(journal.filePath, `${transform(lines).join('\n')}\n`);
+    }
+    
+    describe('Appending', () => {
+        it('should chain every entry to the previous hash', () => {
+            const entries = journal.query();
+            
+            expect(entries).toHaveLength(3);
+            expect(entries[0].prevHash).toBe(GENESIS_HASH);
+            expect(entries[1].prevHash).toBe(entries[0].hash);
+            expect(entries[2].prevHash).toBe(entries[1].hash);
+            expect(entries.map(e => e.seq)).toEqual([1, 2, 3]);
+        });
+        
+        it('should continue the chain after a restart', () => {
+            const reopened = new AuditJournal({
+                file: journal.filePath,
+                headFile: journal.headPath
+            });
+            const entry = reopened.append({ operation: 'auth.logout', user: 'alice' });
+            
+            expect(entry.seq).toBe(4);
+            expect(reopened.verify().valid).toBe(true);
+        });
+    });
+    
+    describe('Querying', () => {
+        it('should filter by operation and user', () => {
+            expect(journal.query({ operation: 'auth.login' })).toHaveLength(2);
+            expect(journal.query({ user: 'admin' })[0].keyId).toBe('key_1');
+        });
+        
+        it('should filter by time range', () => {
+            expect(journal.query({ from: Date.now() + 60000 })).toHaveLength(0);
+            expect(journal.query({ to: Date.now() + 60000 })).toHaveLength(3);
+        });
+        
+        it('should return the most recent matches up to the limit', () => {
+            const entries = journal.query({ limit: 2 });
+            expect(entries.map(e => e.seq)).toEqual([2, 3]);
+        });
+    });
+    
+    describe('Verification', () => {
+        it('should verify an intact journal', () => {
+            const result = journal.verify();
+            
+            expect(result.valid).toBe(true);
+            expect(result.entries).toBe(3);
+            expect(result.errors).toEqual([]);
+        });
+        
+        it('should detect edited entries', () => {
+            rewriteLines(lines => lines.map(line => line.replace('"user":"bob"', '"user":"mallory"')));
+            
+            const result = journal.verify();
+            expect(result.valid).toBe(false);
+            expect(result.errors[0].reason).toContain('hash mismatch');
+        });
+        
+        it('should detect removed entries', () => {
+            rewriteLines(lines => [lines[0], lines[2]]);
+            
+            const result = journal.verify();
+            expect(result.valid).toBe(false);
+            expect(result.errors.some(e => e.reason.includes('Chain broken'))).toBe(true);
+        });
+        
+        it('should detect a truncated tail', () => {
+            rewriteLines(lines => lines.slice(0, 2));
+            
+            const result = journal.verify();
+            expect(result.valid).toBe(false);
+            expect(result.errors[0].reason).toContain('recorded head');
+        });
+    });
+});
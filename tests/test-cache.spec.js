@@ -0,0 +1,170 @@
+/**
+ * Cache Strategy Tests
+ * 
+ * @license MIT
+ * @description Tests for the LRU memory cache and the conditional GET middleware
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { MemoryCache, computeETag, cacheMiddleware, invalidateCache, invalidateOnWrite } = require('../backend/cache-strategy');
+
+describe('Cache Strategy', () => {
+    describe('MemoryCache', () => {
+        it('should evict the least recently used entry', () => {
+            const cache = new MemoryCache({ maxSize: 2 });
+            cache.set('a', 1);
+            cache.set('b', 2);
+            cache.get('a');
+            cache.set('c', 3);
+            
+            expect(cache.get('a')).toBe(1);
+            expect(cache.get('b')).toBeNull();
+            expect(cache.get('c')).toBe(3);
+            expect(cache.getStats().evictions).toBe(1);
+        });
+        
+        it('should not evict when overwriting an existing key', () => {
+            const cache = new MemoryCache({ maxSize: 2 });
+            cache.set('a', 1);
+            cache.set('b', 2);
+            cache.set('a', 10);
+            
+            expect(cache.get('a')).toBe(10);
+            expect(cache.get('b')).toBe(2);
+            expect(cache.getStats().evictions).toBe(0);
+        });
+        
+        it('should expire entries after their TTL', () => {
+            const cache = new MemoryCache();
+            cache.set('a', 1, -1);
+            
+            expect(cache.get('a')).toBeNull();
+        });
+    });
+    
+    describe('getOrCompute', () => {
+        it('should compute on a miss and serve hits from the cache', async () => {
+            const cache = new MemoryCache();
+            const loader = jest.fn().mockResolvedValue('value');
+            
+            await expect(cache.getOrCompute('key', loader, { ttl: 1000 })).resolves.toBe('value');
+            await expect(cache.getOrCompute('key', loader, { ttl: 1000 })).resolves.toBe('value');
+            
+            expect(loader).toHaveBeenCalledTimes(1);
+            expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1 });
+        });
+        
+        it('should coalesce concurrent loads into one promise', async () => {
+            const cache = new MemoryCache();
+            let resolve;
+            const loader = jest.fn(() => new Promise(r => { resolve = r; }));
+            
+            const results = [1, 2, 3].map(() => cache.getOrCompute('key', loader));
+            await Promise.resolve();
+            resolve('shared');
+            
+            await expect(Promise.all(results)).resolves.toEqual(['shared', 'shared', 'shared']);
+            expect(loader).toHaveBeenCalledTimes(1);
+            expect(cache.getStats().coalesced).toBe(2);
+        });
+        
+        it('should serve stale values while refreshing in the background', async () => {
+            const cache = new MemoryCache();
+            cache.set('key', 'old', -1, { staleTtl: 60000 });
+            let resolve;
+            const loader = jest.fn(() => new Promise(r => { resolve = r; }));
+            
+            await expect(cache.getOrCompute('key', loader)).resolves.toBe('old');
+            await expect(cache.getOrCompute('key', loader)).resolves.toBe('old');
+            expect(loader).toHaveBeenCalledTimes(1);
+            
+            resolve('new');
+            await cache.pending.get('key');
+            
+            await expect(cache.getOrCompute('key', loader)).resolves.toBe('new');
+            expect(cache.getStats().stale).toBe(2);
+        });
+        
+        it('should keep the stale value when a background refresh fails', async () => {
+            const cache = new MemoryCache();
+            cache.set('key', 'old', -1, { staleTtl: 60000 });
+            const loader = jest.fn().mockRejectedValue(new Error('upstream down'));
+            
+            await expect(cache.getOrCompute('key', loader, { negativeTtl: 60000 })).resolves.toBe('old');
+            await new Promise(r => setImmediate(r));
+            await expect(cache.getOrCompute('key', loader, { negativeTtl: 60000 })).resolves.toBe('old');
+            
+            expect(loader).toHaveBeenCalledTimes(1);
+            expect(cache.getStats().loadErrors).toBe(1);
+        });
+        
+        it('should cache failed loads for the negative TTL', async () => {
+            const cache = new MemoryCache();
+            const loader = jest.fn().mockRejectedValue(new Error('upstream down'));
+            
+            await expect(cache.getOrCompute('key', loader, { negativeTtl: 60000 })).rejects.toThrow('upstream down');
+            await expect(cache.getOrCompute('key', loader, { negativeTtl: 60000 })).rejects.toThrow('upstream down');
+            
+            expect(loader).toHaveBeenCalledTimes(1);
+            expect(cache.get('key')).toBeNull();
+        });
+    });
+    
+    describe('cacheMiddleware', () => {
+        let app;
+        let calls;
+        
+        beforeEach(() => {
+            calls = 0;
+            invalidateCache('/cached');
+            app = express();
+            app.get('/cached', cacheMiddleware(60), (req, res) => {
+                calls++;
+                res.json({ value: 'payload' });
+            });
+            app.post('/write', invalidateOnWrite('/cached'), (req, res) => {
+                res.json({ success: true });
+            });
+        });
+        
+        it('should cache responses with a strong ETag', async () => {
+            const first = await request(app).get('/cached').expect(200);
+            const second = await request(app).get('/cached').expect(200);
+            
+            expect(first.headers['x-cache']).toBe('MISS');
+            expect(second.headers['x-cache']).toBe('HIT');
+            expect(first.headers.etag).toBe(computeETag(JSON.stringify({ value: 'payload' })));
+            expect(first.headers.etag.startsWith('W/')).toBe(false);
+            expect(second.body).toEqual({ value: 'payload' });
+            expect(calls).toBe(1);
+        });
+        
+        it('should answer a matching If-None-Match with 304', async () => {
+            const first = await request(app).get('/cached').expect(200);
+            
+            await request(app)
+                .get('/cached')
+                .set('If-None-Match', `"other", ${first.headers.etag}`)
+                .expect(304);
+        });
+        
+        it('should return the full body for a stale ETag', async () => {
+            const response = await request(app)
+                .get('/cached')
+                .set('If-None-Match', '"outdated"')
+                .expect(200);
+            
+            expect(response.body).toEqual({ value: 'payload' });
+        });
+        
+        it('should invalidate entries after a successful write', async () => {
+            await request(app).get('/cached').expect(200);
+            await request(app).post('/write').expect(200);
+            const response = await request(app).get('/cached').expect(200);
+            
+            expect(response.headers['x-cache']).toBe('MISS');
+            expect(calls).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Event Bus Tests
+ *
+ * @license MIT
+ * @description Tests for the shared client event bus: wildcards, once, replay and namespaces
+ */
+
+const EventBus = require('../event-bus');
+
+describe('EventBus', () => {
+    describe('Pattern matching', () => {
+        it('should match exact names and single-segment wildcards', () => {
+            expect(EventBus.matches('api:connected', 'api:connected')).toBe(true);
+            expect(EventBus.matches('api:*', 'api:connected')).toBe(true);
+            expect(EventBus.matches('api:*', 'api:logs:entry')).toBe(false);
+            expect(EventBus.matches('*:connected', 'logger:entry')).toBe(false);
+        });
+
+        it('should match any number of segments with **', () => {
+            expect(EventBus.matches('**', 'api:connected')).toBe(true);
+            expect(EventBus.matches('api:**', 'api:logs:entry')).toBe(true);
+            expect(EventBus.matches('api:**', 'api')).toBe(true);
+            expect(EventBus.matches('**:entry', 'logger:entry')).toBe(true);
+            expect(EventBus.matches('api:**', 'logger:entry')).toBe(false);
+        });
+    });
+
+    describe('Subscriptions', () => {
+        it('should deliver data and event metadata to matching subscribers', () => {
+            const bus = new EventBus();
+            const received = [];
+            bus.on('api:*', (data, meta) => received.push([meta.event, data]));
+
+            bus.emit('api:connected', { id: 1 });
+            bus.emit('logger:entry', { id: 2 });
+
+            expect(received).toEqual([['api:connected', { id: 1 }]]);
+        });
+
+        it('should unsubscribe with the returned handle or off()', () => {
+            const bus = new EventBus();
+            const first = jest.fn();
+            const second = jest.fn();
+            const unsubscribe = bus.on('api:connected', first);
+            bus.on('api:connected', second);
+
+            unsubscribe();
+            bus.off('api:connected', second);
+            bus.emit('api:connected', {});
+
+            expect(first).not.toHaveBeenCalled();
+            expect(second).not.toHaveBeenCalled();
+        });
+
+        it('should deliver once() subscriptions a single time', () => {
+            const bus = new EventBus();
+            const listener = jest.fn();
+            bus.once('api:connected', listener);
+
+            bus.emit('api:connected', 1);
+            bus.emit('api:connected', 2);
+
+            expect(listener).toHaveBeenCalledTimes(1);
+            expect(listener).toHaveBeenCalledWith(1, expect.objectContaining({ event: 'api:connected' }));
+        });
+
+        it('should keep delivering when a listener throws', () => {
+            const bus = new EventBus();
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const listener = jest.fn();
+            bus.on('api:connected', () => {
+                throw new Error('Broken listener');
+            });
+            bus.on('api:connected', listener);
+
+            bus.emit('api:connected', {});
+            error.mockRestore();
+
+            expect(listener).toHaveBeenCalledTimes(1);
+        });
+
+        it('should finish the current emit for listeners unsubscribed during it', () => {
+            const bus = new EventBus();
+            const second = jest.fn();
+            const handles = {};
+            bus.on('api:connected', () => handles.second());
+            handles.second = bus.on('api:connected', second);
+
+            bus.emit('api:connected', {});
+            bus.emit('api:connected', {});
+
+            expect(second).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Replay', () => {
+        it('should keep the most recent events up to replaySize', () => {
+            const bus = new EventBus({ replaySize: 2 });
+            bus.emit('api:a', 1);
+            bus.emit('api:b', 2);
+            bus.emit('logger:c', 3);
+
+            expect(bus.getHistory().map(r => r.data)).toEqual([2, 3]);
+            expect(bus.getHistory('api:*').map(r => r.event)).toEqual(['api:b']);
+        });
+
+        it('should replay buffered events to subscribers that ask for it', () => {
+            const bus = new EventBus({ replaySize: 10 });
+            bus.emit('api:connected', 1);
+            bus.emit('api:connected', 2);
+
+            const replayed = [];
+            bus.on('api:connected', data => replayed.push(data), { replay: true });
+            const once = jest.fn();
+            bus.once('api:connected', once, { replay: true });
+            bus.emit('api:connected', 3);
+
+            expect(replayed).toEqual([1, 2, 3]);
+            expect(once).toHaveBeenCalledTimes(1);
+            expect(once).toHaveBeenCalledWith(1, expect.anything());
+        });
+
+        it('should keep no history by default', () => {
+            const bus = new EventBus();
+            bus.emit('api:connected', 1);
+
+            expect(bus.getHistory()).toEqual([]);
+        });
+    });
+
+    describe('Namespaces', () => {
+        it('should prefix event names and patterns', () => {
+            const bus = new EventBus();
+            const api = bus.namespace('api');
+            const all = [];
+            const own = [];
+            bus.on('**', (data, meta) => all.push(meta.event));
+            api.on('*', (data, meta) => own.push(meta.event));
+
+            api.emit('connected', {});
+            bus.emit('logger:entry', {});
+
+            expect(all).toEqual(['api:connected', 'logger:entry']);
+            expect(own).toEqual(['api:connected']);
+            expect(api.bus).toBe(bus);
+        });
+    });
+
+    it('should drop subscriptions and history on clear()', () => {
+        const bus = new EventBus({ replaySize: 5 });
+        const listener = jest.fn();
+        bus.on('**', listener);
+        bus.emit('api:connected', 1);
+
+        bus.clear();
+        bus.emit('api:connected', 2);
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(bus.getHistory().map(r => r.data)).toEqual([2]);
+    });
+});
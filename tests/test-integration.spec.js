@@ -7,12 +7,20 @@
 
 const request = require('supertest');
 const WebSocket = require('ws');
-const { app } = require('../backend/backend-mock-server');
+const { app, start, stop } = require('../backend/backend-mock-server');
+const { generateToken } = require('../backend/security-middleware');
 
-const WS_PORT = process.env.WS_PORT || 3001;
-const WS_URL = `ws://localhost:${WS_PORT}`;
+const operatorToken = generateToken({ username: 'integration-tester', role: 'operator' });
+let WS_URL;
 
 describe('Integration Tests', () => {
+    beforeAll(async () => {
+        const server = await start({ port: 0 });
+        WS_URL = `ws://localhost:${server.address().port}/ws?token=${operatorToken}`;
+    });
+    
+    afterAll(() => stop());
+    
     describe('Complete API Flow', () => {
         it('should fetch all data endpoints successfully', async () => {
             // Fetch sovereignty status
@@ -50,6 +58,7 @@ describe('Integration Tests', () => {
             // Submit log
             const submitResponse = await request(app)
                 .post('/api/logs')
+                .set('Authorization', `Bearer ${operatorToken}`)
                 .send({
                     entries: [
                         {
@@ -158,6 +167,7 @@ describe('Integration Tests', () => {
             // Send invalid JSON
             const response = await request(app)
                 .post('/api/logs')
+                .set('Authorization', `Bearer ${operatorToken}`)
                 .set('Content-Type', 'application/json')
                 .send('{"invalid json}')
                 .expect(400);
@@ -271,6 +281,7 @@ describe('Integration Tests', () => {
             // Submit multiple logs
             await request(app)
                 .post('/api/logs')
+                .set('Authorization', `Bearer ${operatorToken}`)
                 .send({
                     entries: [
                         { level: 'INFO', message: 'Test 1' },
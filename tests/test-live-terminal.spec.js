@@ -0,0 +1,119 @@
+/**
+ * Live Terminal Connection Tests
+ *
+ * @license MIT
+ * @description Tests the terminal's live feed against the real hub with short-lived access tokens
+ */
+
+// Access tokens expire after two seconds in this file
+process.env.ACCESS_TOKEN_EXPIRES_IN = '2s';
+
+const request = require('supertest');
+const WebSocket = require('ws');
+const { app, start, stop, userStore } = require('../backend/backend-mock-server');
+const LiveTerminal = require('../live-terminal');
+const LoggerService = require('../logger-service');
+
+const silentLogger = LoggerService.bindLogger(() => {}, {});
+
+/**
+ * Resolve once the API service emits an event `count` times
+ */
+function waitFor(api, event, count = 1) {
+    return new Promise(resolve => {
+        const received = [];
+        api.on(event, (data) => {
+            received.push(data);
+            if (received.length === count) {
+                resolve(received);
+            }
+        });
+    });
+}
+
+describe('Live Terminal', () => {
+    const originalWebSocket = global.WebSocket;
+    let port;
+    let api;
+
+    beforeAll(async () => {
+        global.WebSocket = WebSocket;
+        const server = await start({ port: 0 });
+        port = server.address().port;
+        await userStore.createUser('terminalkiosk', 'kiosk-password-1', { role: 'viewer' });
+        await userStore.createUser('terminaladmin', 'admin-password-1', { role: 'admin' });
+    });
+
+    afterEach(() => {
+        if (api) {
+            api.disconnect();
+            api = null;
+        }
+    });
+
+    afterAll(() => {
+        global.WebSocket = originalWebSocket;
+        return stop();
+    });
+
+    async function login(username = 'terminalkiosk', password = 'kiosk-password-1') {
+        const response = await request(app)
+            .post('/api/auth/login')
+            .send({ username, password });
+        expect(response.status).toBe(200);
+        return response.body;
+    }
+
+    function createApiService(auth) {
+        const terminal = new LiveTerminal({
+            baseURL: `http://localhost:${port}`,
+            wsURL: `ws://localhost:${port}/ws`,
+            auth
+        });
+        const apiService = terminal.createApiService();
+        apiService.setLogger(silentLogger);
+        return apiService;
+    }
+
+    it('should refresh an expiring access token and stay connected', async () => {
+        const session = await login();
+        api = createApiService(session);
+        const connected = waitFor(api, 'connected', 2);
+        const refreshed = waitFor(api, 'tokenRefreshed');
+
+        api.initWebSocket();
+        const [tokens] = await refreshed;
+        await connected;
+
+        expect(tokens.accessToken).not.toBe(session.accessToken);
+        expect(tokens.refreshToken).not.toBe(session.refreshToken);
+        expect(api.authToken).toBe(tokens.accessToken);
+        expect(api.getConnectionState().state).toBe('open');
+    }, 15000);
+
+    it('should connect with an API key', async () => {
+        const key = await request(app)
+            .post('/api/admin/keys')
+            .set('Authorization', `Bearer ${(await login('terminaladmin', 'admin-password-1')).accessToken}`)
+            .send({ name: 'Kiosk', scopes: ['logs:read'] });
+        api = createApiService({ apiKey: key.body.key });
+        const connected = waitFor(api, 'connected');
+
+        api.initWebSocket();
+        await connected;
+
+        expect(api.getConnectionState().state).toBe('open');
+    }, 15000);
+
+    it('should stop when the session cannot be refreshed', async () => {
+        const session = await login();
+        api = createApiService({ accessToken: session.accessToken });
+        const authFailed = waitFor(api, 'authFailed');
+
+        api.initWebSocket();
+        const [failure] = await authFailed;
+
+        expect(failure.reason).toBe('Token expired and could not be refreshed');
+        expect(api.getConnectionState().state).toBe('closed');
+    }, 15000);
+});
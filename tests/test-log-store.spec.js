@@ -0,0 +1,273 @@
+/**
+ * Log Store Tests
+ * 
+ * @license MIT
+ * @description Tests for the in-memory and JSONL file log stores
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryLogStore, FileLogStore, createLogStore } = require('../backend/log-store');
+
+function entry(message, timestamp = Date.now()) {
+    return { level: 'INFO', message, context: {}, timestamp, nodeId: 'test', sessionId: 'session_test' };
+}
+
+describe('Log Store', () => {
+    describe('MemoryLogStore', () => {
+        it('should assign increasing ids', () => {
+            const store = new MemoryLogStore();
+            const first = store.append(entry('one'));
+            const second = store.append(entry('two'));
+            
+            expect(second.id).toBe(first.id + 1);
+            expect(store.count()).toBe(2);
+        });
+        
+        it('should cap the number of entries', () => {
+            const store = new MemoryLogStore({ maxEntries: 3 });
+            for (let i = 0; i < 5; i++) {
+                store.append(entry(`log ${i}`));
+            }
+            
+            const { logs, total } = store.query({ limit: 10 });
+            expect(total).toBe(3);
+            expect(logs.map(l => l.message)).toEqual(['log 2', 'log 3', 'log 4']);
+        });
+        
+        it('should forget idempotency keys of trimmed entries', () => {
+            const store = new MemoryLogStore({ maxEntries: 2 });
+            const first = store.append({ ...entry('keyed'), idempotencyKey: 'key-1' });
+            
+            expect(store.findByIdempotencyKey('key-1')).toBe(first);
+            
+            store.append(entry('two'));
+            store.append(entry('three'));
+            expect(store.findByIdempotencyKey('key-1')).toBeNull();
+        });
+    });
+    
+    describe('Querying', () => {
+        let store;
+        
+        beforeEach(() => {
+            store = new MemoryLogStore();
+            store.append({ ...entry('Node alpha failed health check'), level: 'ERROR', nodeId: 'alpha' });
+            store.append({ ...entry('Node alpha recovered'), nodeId: 'alpha' });
+            store.append({ ...entry('Node beta failed sync'), level: 'ERROR', nodeId: 'beta', sessionId: 's2' });
+            store.append({ ...entry('Cache cleanup executed'), level: 'DEBUG', timestamp: Date.now() - 60000 });
+        });
+        
+        it('should filter by level, node and session', () => {
+            expect(store.query({ levels: ['ERROR'] }).total).toBe(2);
+            expect(store.query({ levels: ['ERROR'], nodeId: 'alpha' }).logs[0].message).toContain('alpha');
+            expect(store.query({ sessionId: 's2' }).logs[0].nodeId).toBe('beta');
+        });
+        
+        it('should filter by time range', () => {
+            expect(store.query({ to: Date.now() - 30000 }).logs.map(l => l.level)).toEqual(['DEBUG']);
+            expect(store.query({ from: Date.now() - 30000 }).total).toBe(3);
+        });
+        
+        it('should search messages by substring and regex', () => {
+            expect(store.query({ text: 'FAILED' }).total).toBe(2);
+            expect(store.query({ regex: /^node \w+ recovered$/i }).total).toBe(1);
+        });
+        
+        it('should bound regex searches to the newest entries', () => {
+            const result = store.query({ regex: /failed|executed/i, regexScanLimit: 1 });
+            expect(result.truncated).toBe(true);
+            expect(result.logs.map(l => l.message)).toEqual(['Cache cleanup executed']);
+            expect(store.query({ text: 'failed', regexScanLimit: 1 }).truncated).toBe(false);
+        });
+        
+        it('should stop a slow regex search at the time limit', () => {
+            const slow = new MemoryLogStore({ maxEntries: 2000 });
+            for (let i = 0; i < 2000; i++) {
+                slow.append(entry(' '.repeat(990)));
+            }
+            
+            const start = Date.now();
+            const result = slow.query({ regex: /\s*x/i, regexTimeLimit: 50 });
+            
+            expect(Date.now() - start).toBeLessThan(500);
+            expect(result.truncated).toBe(true);
+            expect(result.total).toBe(0);
+            expect(slow.query({ text: 'x', regexTimeLimit: 50 }).truncated).toBe(false);
+        });
+        
+        it('should sort newest first on request', () => {
+            const { logs } = store.query({ sort: 'desc' });
+            expect(logs[0].message).toBe('Cache cleanup executed');
+        });
+        
+        it('should page with stable cursors while logs arrive', () => {
+            const first = store.query({ limit: 2 });
+            expect(first.nextCursor).toBeTruthy();
+            
+            store.append(entry('arrived between pages'));
+            
+            const second = store.query({ limit: 2, cursor: first.nextCursor });
+            expect(second.logs.map(l => l.id)).toEqual([3, 4]);
+            
+            const third = store.query({ limit: 2, cursor: second.nextCursor });
+            expect(third.logs.map(l => l.message)).toEqual(['arrived between pages']);
+            expect(third.nextCursor).toBeNull();
+        });
+        
+        it('should page backwards with descending cursors', () => {
+            const first = store.query({ limit: 3, sort: 'desc' });
+            const second = store.query({ limit: 3, sort: 'desc', cursor: first.nextCursor });
+            
+            expect(second.logs.map(l => l.id)).toEqual([1]);
+        });
+        
+        it('should reject malformed or mismatched cursors', () => {
+            const { nextCursor } = store.query({ limit: 1 });
+            
+            expect(() => store.query({ cursor: 'not-a-cursor' })).toThrow('Invalid cursor');
+            expect(() => store.query({ cursor: nextCursor, sort: 'desc' })).toThrow('sort order');
+        });
+    });
+    
+    describe('FileLogStore', () => {
+        let counter = 0;
+        let dir;
+        
+        beforeEach(() => {
+            counter++;
+            dir = `logs-${counter}`;
+        });
+        
+        it('should keep logs across restarts', () => {
+            const store = new FileLogStore({ dir });
+            store.append(entry('before restart'));
+            store.append(entry('also before restart'));
+            
+            const reopened = new FileLogStore({ dir });
+            const next = reopened.append(entry('after restart'));
+            
+            expect(reopened.count()).toBe(3);
+            expect(next.id).toBe(3);
+            expect(reopened.query().logs[0].message).toBe('before restart');
+        });
+        
+        it('should remember idempotency keys across restarts', () => {
+            const store = new FileLogStore({ dir });
+            const stored = store.append({ ...entry('keyed'), idempotencyKey: 'key-restart' });
+            
+            const reopened = new FileLogStore({ dir });
+            expect(reopened.findByIdempotencyKey('key-restart')).toEqual(stored);
+        });
+        
+        it('should rotate segments when they grow too large', () => {
+            const store = new FileLogStore({ dir, segmentBytes: 200 });
+            for (let i = 0; i < 10; i++) {
+                store.append(entry(`rotating entry ${i}`));
+            }
+            
+            const files = fs.readdirSync(store.dir);
+            expect(files.length).toBeGreaterThan(1);
+            expect(store.stats().segments).toBe(files.length);
+        });
+        
+        it('should drop the oldest segments beyond the size budget', () => {
+            const store = new FileLogStore({ dir, segmentBytes: 200, maxBytes: 600 });
+            for (let i = 0; i < 30; i++) {
+                store.append(entry(`budget entry ${i}`));
+            }
+            
+            const { logs } = store.query({ limit: 100 });
+            expect(store.stats().bytes).toBeLessThanOrEqual(600 + 200);
+            expect(logs[0].message).not.toBe('budget entry 0');
+            expect(logs[logs.length - 1].message).toBe('budget entry 29');
+        });
+        
+        it('should drop segments older than the retention window', () => {
+            const old = Date.now() - 2 * 60 * 60 * 1000;
+            const writer = new FileLogStore({ dir, segmentBytes: 100 });
+            writer.append(entry('ancient', old));
+            writer.append(entry('recent'));
+            
+            const store = new FileLogStore({ dir, segmentBytes: 100, maxAge: 60 * 60 * 1000 });
+            const messages = store.query().logs.map(l => l.message);
+            
+            expect(messages).toEqual(['recent']);
+        });
+        
+        it('should skip partially written lines', () => {
+            const store = new FileLogStore({ dir });
+            store.append(entry('complete'));
+            const segment = store.segments[0].file;
+            fs.appendFileSync(segment, '{"id": 2, "level": "IN');
+            
+            const reopened = new FileLogStore({ dir });
+            expect(reopened.query().logs.map(l => l.message)).toEqual(['complete']);
+            
+            reopened.append(entry('after crash'));
+            const again = new FileLogStore({ dir });
+            expect(again.query().logs.map(l => l.message)).toEqual(['complete', 'after crash']);
+        });
+        
+        it('should keep more than maxEntries on disk and serve older ranges from it', () => {
+            const start = Date.now() - 20000;
+            const store = new FileLogStore({ dir, segmentBytes: 200, maxEntries: 5 });
+            for (let i = 0; i < 20; i++) {
+                store.append(entry(`disk entry ${i}`, start + i * 1000));
+            }
+            
+            const recent = store.query({ limit: 100 });
+            expect(recent.logs.map(l => l.message)).toEqual([15, 16, 17, 18, 19].map(i => `disk entry ${i}`));
+            expect(recent.truncated).toBe(true);
+            expect(store.count()).toBe(20);
+            expect(store.stats()).toMatchObject({ entries: 20, memoryEntries: 5 });
+            
+            const range = store.query({ from: start + 3000, to: start + 16000, limit: 100 });
+            expect(range.total).toBe(14);
+            expect(range.truncated).toBe(false);
+            expect(range.logs.map(l => l.message)).toEqual(
+                Array.from({ length: 14 }, (_, i) => `disk entry ${i + 3}`)
+            );
+            
+            const newest = store.query({ from: start, sort: 'desc', limit: 8 });
+            const older = store.query({ from: start, sort: 'desc', limit: 8, cursor: newest.nextCursor });
+            expect(newest.total).toBe(20);
+            expect(older.logs.map(l => l.id)).toEqual([12, 11, 10, 9, 8, 7, 6, 5]);
+            
+            const reopened = new FileLogStore({ dir, segmentBytes: 200, maxEntries: 5 });
+            expect(reopened.count()).toBe(20);
+            expect(reopened.query({ from: start, limit: 1 }).logs[0].message).toBe('disk entry 0');
+        });
+        
+        it('should apply the size budget to entries only on disk', () => {
+            const store = new FileLogStore({ dir, segmentBytes: 200, maxEntries: 5, maxBytes: 1000 });
+            for (let i = 0; i < 30; i++) {
+                store.append(entry(`pruned entry ${i}`));
+            }
+            
+            const all = store.query({ from: 1, limit: 100 }).logs;
+            expect(store.stats().bytes).toBeLessThanOrEqual(1000 + 200);
+            expect(all.length).toBeGreaterThan(5);
+            expect(all.length).toBe(store.count());
+            expect(all[all.length - 1].message).toBe('pruned entry 29');
+        });
+        
+        it('should bound retention by default', () => {
+            const stats = new FileLogStore({ dir }).stats();
+            
+            expect(stats.maxEntries).toBeGreaterThan(0);
+            expect(stats.maxAge).toBeGreaterThan(0);
+            expect(stats.maxBytes).toBeGreaterThan(0);
+        });
+    });
+    
+    describe('createLogStore', () => {
+        it('should create the requested store type', () => {
+            expect(createLogStore({ type: 'memory' })).toBeInstanceOf(MemoryLogStore);
+            
+            const fileStore = createLogStore({ type: 'file', dir: 'logs-factory' });
+            expect(fileStore).toBeInstanceOf(FileLogStore);
+            expect(path.basename(fileStore.dir)).toBe('logs-factory');
+        });
+    });
+});
@@ -0,0 +1,271 @@
+/**
+ * Logger Service Tests
+ *
+ * @license MIT
+ * @description Tests for the client logger: sinks, sampling, collapsing, rate limiting and levels
+ */
+
+const LoggerService = require('../logger-service');
+const LogTransports = require('../log-transports');
+
+// Browser storage for the session ID (and, in the level tests, the stored level rules)
+const storage = new Map();
+global.sessionStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+const apiService = { getNodeId: () => 'node_test' };
+
+function createLogger(options = {}) {
+    const memory = new LogTransports.MemoryTransport();
+    const logger = new LoggerService(apiService, { transports: [memory], search: '', ...options });
+    return { logger, memory, messages: () => memory.entries.map(entry => entry.message) };
+}
+
+describe('LoggerService', () => {
+    let logger;
+
+    afterEach(() => {
+        logger.destroy();
+        jest.restoreAllMocks();
+    });
+
+    describe('Entries and sinks', () => {
+        it('should stamp entries and hand them to sinks, the buffer and the bus', () => {
+            const created = createLogger();
+            logger = created.logger;
+            const listener = jest.fn();
+            logger.addListener(listener);
+
+            const entry = logger.info('Terminal started', { panel: 'nodes' });
+
+            expect(entry).toMatchObject({
+                level: 'INFO',
+                message: 'Terminal started',
+                context: { panel: 'nodes' },
+                nodeId: 'node_test',
+                sessionId: expect.stringMatching(/^session_/)
+            });
+            expect(created.memory.entries).toEqual([entry]);
+            expect(logger.getRecentLogs()).toEqual([entry]);
+            expect(listener).toHaveBeenCalledWith(entry, expect.objectContaining({ event: 'logger:entry' }));
+        });
+
+        it('should respect transport levels and excluded components', () => {
+            const errors = new LogTransports.MemoryTransport({ name: 'errors', level: 'ERROR' });
+            const http = new LogTransports.MemoryTransport({ name: 'remote', exclude: ['apiservice.delivery'] });
+            logger = new LoggerService(apiService, { transports: [errors, http], search: '' });
+
+            logger.warn('Slow refresh');
+            logger.error('Refresh failed');
+            logger.child({ component: 'apiservice.delivery' }).warn('Failed to send logs; queued for retry');
+
+            expect(errors.entries.map(e => e.message)).toEqual(['Refresh failed']);
+            expect(http.entries.map(e => e.message)).toEqual(['Slow refresh', 'Refresh failed']);
+        });
+
+        it('should merge child bindings under caller context', () => {
+            const created = createLogger();
+            logger = created.logger;
+
+            const child = logger.child({ component: 'syntheia', nodeId: 'onna' }).child({ panel: 'alerts' });
+            const entry = child.info('Alert raised', { nodeId: 'lumsa' });
+
+            expect(entry.context).toEqual({ component: 'syntheia', nodeId: 'lumsa', panel: 'alerts' });
+        });
+
+        it('should keep logging when a sink throws', () => {
+            const created = createLogger();
+            logger = created.logger;
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            logger.addTransport({ name: 'broken', write: () => { throw new Error('Sink down'); } });
+
+            logger.info('Still logged');
+
+            expect(created.messages()).toEqual(['Still logged']);
+        });
+
+        it('should refuse transports without write()', () => {
+            const created = createLogger();
+            logger = created.logger;
+
+            expect(() => logger.addTransport({ name: 'invalid' })).toThrow('Log transport must implement write(entry)');
+        });
+    });
+
+    describe('Sampling', () => {
+        it('should keep entries with the probability configured for their level', () => {
+            const created = createLogger({ sampling: { DEBUG: 0.1 }, collapseWindow: 0 });
+            logger = created.logger;
+            logger.setLevel('DEBUG');
+            const random = jest.spyOn(Math, 'random');
+
+            random.mockReturnValue(0.05);
+            logger.debug('Kept sample');
+            random.mockReturnValue(0.5);
+            logger.debug('Dropped sample');
+            logger.info('Info is not sampled');
+
+            expect(created.messages()).toEqual(['Kept sample', 'Info is not sampled']);
+            expect(logger.getDropCounters()).toMatchObject({ sampled: 1, byKey: { 'DEBUG:Dropped sample': 1 } });
+        });
+    });
+
+    describe('Collapsing repeats', () => {
+        it('should log the first entry and summarize the repeats when the run ends', () => {
+            const created = createLogger();
+            logger = created.logger;
+
+            logger.warn('Heartbeat missed');
+            logger.warn('Heartbeat missed');
+            logger.warn('Heartbeat missed');
+            logger.info('Heartbeat restored');
+
+            expect(created.messages()).toEqual([
+                'Heartbeat missed',
+                'Heartbeat missed (repeated 2 times)',
+                'Heartbeat restored'
+            ]);
+            expect(created.memory.entries[1].context).toMatchObject({ repeated: 2 });
+            expect(logger.getDropCounters().collapsed).toBe(2);
+        });
+
+        it('should emit the summary once the collapse window ends', () => {
+            jest.useFakeTimers();
+            const created = createLogger({ collapseWindow: 1000 });
+            logger = created.logger;
+
+            logger.warn('Heartbeat missed');
+            logger.warn('Heartbeat missed');
+            jest.advanceTimersByTime(1000);
+            jest.useRealTimers();
+
+            expect(created.messages()).toEqual(['Heartbeat missed', 'Heartbeat missed (repeated 1 times)']);
+        });
+
+        it('should not collapse with collapseWindow 0', () => {
+            const created = createLogger({ collapseWindow: 0 });
+            logger = created.logger;
+
+            logger.warn('Heartbeat missed');
+            logger.warn('Heartbeat missed');
+
+            expect(created.messages()).toEqual(['Heartbeat missed', 'Heartbeat missed']);
+        });
+    });
+
+    describe('Rate limiting', () => {
+        it('should cap entries per message key and interval', () => {
+            const created = createLogger({ collapseWindow: 0, rateLimit: { limit: 2, interval: 60000 } });
+            logger = created.logger;
+
+            for (let i = 0; i < 5; i++) {
+                logger.info('Panel refreshed');
+            }
+            logger.info('Other message');
+
+            expect(created.messages()).toEqual(['Panel refreshed', 'Panel refreshed', 'Other message']);
+            expect(logger.getDropCounters()).toMatchObject({ rateLimited: 3, byKey: { 'INFO:Panel refreshed': 3 } });
+        });
+
+        it('should apply per-message overrides', () => {
+            const created = createLogger({ collapseWindow: 0, rateLimits: { 'Chatty message': { limit: 1 } } });
+            logger = created.logger;
+
+            logger.info('Chatty message');
+            logger.info('Chatty message');
+            logger.info('Normal message');
+            logger.info('Normal message');
+
+            expect(created.messages()).toEqual(['Chatty message', 'Normal message', 'Normal message']);
+        });
+    });
+
+    describe('Levels', () => {
+        beforeEach(() => {
+            global.localStorage = global.sessionStorage;
+            storage.clear();
+        });
+
+        afterEach(() => {
+            delete global.localStorage;
+        });
+
+        it('should parse level rules from strings and objects, skipping unknown levels', () => {
+            const created = createLogger();
+            logger = created.logger;
+
+            expect(logger.parseLevels('apiservice:debug, *:WARN,syntheia:LOUD')).toEqual({ apiservice: 'DEBUG', '*': 'WARN' });
+            expect(logger.parseLevels('ERROR')).toEqual({ '*': 'ERROR' });
+            expect(logger.parseLevels({ 'api:ws': 'info' })).toEqual({ 'api:ws': 'INFO' });
+        });
+
+        it('should filter by component rule, then the * rule, then the global level', () => {
+            const created = createLogger({ collapseWindow: 0 });
+            logger = created.logger;
+            logger.setLevel('DEBUG', 'apiservice');
+
+            logger.child({ component: 'apiservice' }).debug('Component debug');
+            logger.debug('Global debug');
+            logger.setLevel('ERROR', '*');
+            logger.warn('Warning without a rule');
+            logger.child({ component: 'apiservice' }).warn('Component warning');
+
+            expect(created.messages()).toEqual(['Component debug', 'Component warning']);
+        });
+
+        it('should rank runtime over URL over stored rules', () => {
+            storage.set('logLevels', 'apiservice:ERROR,syntheia:ERROR,kosymbiosis:ERROR');
+            const created = createLogger({ search: '?logLevel=apiservice:WARN,syntheia:WARN' });
+            logger = created.logger;
+            logger.setLevel('DEBUG', 'apiservice');
+
+            expect(logger.getLevels()).toEqual({ apiservice: 'DEBUG', syntheia: 'WARN', kosymbiosis: 'ERROR' });
+
+            logger.setLevel(null, 'apiservice');
+            expect(logger.getLevels().apiservice).toBe('WARN');
+        });
+
+        it('should save rules to localStorage for later sessions', () => {
+            const created = createLogger();
+            logger = created.logger;
+
+            logger.saveLevels({ syntheia: 'debug' });
+            expect(storage.get('logLevels')).toBe('syntheia:DEBUG');
+
+            logger.saveLevels(null);
+            expect(storage.has('logLevels')).toBe(false);
+            expect(logger.getLevels()).toEqual({});
+        });
+
+        it('should apply operator pushes over every other source until they expire', () => {
+            jest.useFakeTimers();
+            const created = createLogger();
+            logger = created.logger;
+            const changes = [];
+            logger.eventBus.on('logger:levels', change => changes.push(change));
+            logger.setLevel('ERROR', 'apiservice');
+
+            logger.eventBus.emit('api:logLevel', { levels: { apiservice: 'DEBUG' }, ttl: 60000 });
+            expect(logger.getLevels().apiservice).toBe('DEBUG');
+
+            jest.advanceTimersByTime(60000);
+            jest.useRealTimers();
+
+            expect(logger.getLevels().apiservice).toBe('ERROR');
+            expect(changes.map(change => change.expiresAt === null)).toEqual([false, true]);
+        });
+
+        it('should ignore expired pushes from the logging config', () => {
+            const created = createLogger();
+            logger = created.logger;
+
+            logger.applyConfig({ level: 'WARN', levels: { '*': 'DEBUG' }, expiresAt: Date.now() - 1000 });
+
+            expect(logger.getLevels()).toEqual({});
+            expect(logger.currentLevel).toBe(logger.levels.WARN);
+        });
+    });
+});
@@ -5,17 +5,26 @@
  * @description Security vulnerability tests
  */
 
+const fs = require('fs');
 const request = require('supertest');
-const { app } = require('../backend/backend-mock-server');
+const { app, userStore } = require('../backend/backend-mock-server');
+const { FileApiKeyStore } = require('../backend/api-key-store');
 const { 
     generateToken, 
     verifyToken, 
     sanitizeString, 
     sanitizeObject,
     validateApiKey,
-    createApiKey
+    createApiKey,
+    getApiKeyStore,
+    hasPermission,
+    logAudit,
+    compileSearchRegex,
+    errorHandler
 } = require('../backend/security-middleware');
 
+const operatorToken = generateToken({ username: 'security-tester', role: 'operator' });
+
 describe('Security Tests', () => {
     describe('JWT Authentication', () => {
         it('should generate valid JWT token', () => {
@@ -45,6 +54,166 @@ describe('Security Tests', () => {
         });
     });
     
+    describe('Authentication Endpoints', () => {
+        const credentials = { username: 'authtester', password: 'correct-horse-battery' };
+        
+        beforeAll(async () => {
+            await userStore.createUser(credentials.username, credentials.password, { role: 'operator' });
+        });
+        
+        it('should issue access and refresh tokens on login', async () => {
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send(credentials)
+                .expect(200);
+            
+            expect(response.body).toHaveProperty('accessToken');
+            expect(response.body).toHaveProperty('refreshToken');
+            expect(response.body).toHaveProperty('tokenType', 'Bearer');
+            expect(response.body.user).toEqual({ username: 'authtester', role: 'operator' });
+            
+            const decoded = verifyToken(response.body.accessToken);
+            expect(decoded).toHaveProperty('role', 'operator');
+            expect(decoded).toHaveProperty('jti');
+        });
+        
+        it('should reject wrong passwords', async () => {
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ ...credentials, password: 'wrong-password' })
+                .expect(401);
+            
+            expect(response.body).toHaveProperty('error', 'Unauthorized');
+        });
+        
+        it('should never store plaintext passwords', () => {
+            const stored = userStore.users[credentials.username];
+            expect(stored.passwordHash).toMatch(/^scrypt\$/);
+            expect(stored.passwordHash).not.toContain(credentials.password);
+        });
+        
+        it('should rotate refresh tokens and detect reuse', async () => {
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send(credentials)
+                .expect(200);
+            
+            const refreshed = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: login.body.refreshToken })
+                .expect(200);
+            
+            expect(refreshed.body.refreshToken).not.toBe(login.body.refreshToken);
+            
+            // Replaying the rotated token revokes the whole session
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: login.body.refreshToken })
+                .expect(401);
+            
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: refreshed.body.refreshToken })
+                .expect(401);
+        });
+        
+        it('should revoke tokens on logout', async () => {
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send(credentials)
+                .expect(200);
+            
+            const logout = await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${login.body.accessToken}`)
+                .send({ refreshToken: login.body.refreshToken })
+                .expect(200);
+            
+            expect(logout.body).toHaveProperty('sessionRevoked', true);
+            expect(() => verifyToken(login.body.accessToken)).toThrow('Token has been revoked');
+            
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: login.body.refreshToken })
+                .expect(401);
+        });
+    });
+    
+    describe('Role-Based Authorization', () => {
+        const viewerToken = generateToken({ username: 'viewer1', role: 'viewer' });
+        
+        it('should resolve permissions from roles', () => {
+            expect(hasPermission({ role: 'viewer' }, 'logs:read')).toBe(true);
+            expect(hasPermission({ role: 'viewer' }, 'logs:write')).toBe(false);
+            expect(hasPermission({ role: 'operator' }, 'logs:write')).toBe(true);
+            expect(hasPermission({ role: 'admin' }, 'keys:manage')).toBe(true);
+            expect(hasPermission({ role: 'unknown' }, 'logs:read')).toBe(false);
+        });
+        
+        it('should reject log ingestion without credentials', async () => {
+            await request(app)
+                .post('/api/logs')
+                .send({ entries: [{ level: 'INFO', message: 'anonymous' }] })
+                .expect(401);
+        });
+        
+        it('should reject log ingestion for viewers', async () => {
+            const response = await request(app)
+                .post('/api/logs')
+                .set('Authorization', `Bearer ${viewerToken}`)
+                .send({ entries: [{ level: 'INFO', message: 'viewer' }] })
+                .expect(403);
+            
+            expect(response.body.message).toContain('logs:write');
+        });
+        
+        it('should allow viewers to read logs', async () => {
+            await request(app)
+                .get('/api/logs')
+                .set('Authorization', `Bearer ${viewerToken}`)
+                .expect(200);
+        });
+    });
+    
+    describe('Audit Trail', () => {
+        const adminToken = generateToken({ username: 'auditor', role: 'admin' });
+        
+        beforeAll(() => {
+            logAudit({ operation: 'governance.override', user: 'operator1' });
+        });
+        
+        it('should require audit:read', async () => {
+            const viewerToken = generateToken({ username: 'viewer', role: 'viewer' });
+            
+            await request(app)
+                .get('/api/audit')
+                .set('Authorization', `Bearer ${viewerToken}`)
+                .expect(403);
+        });
+        
+        it('should filter audit entries', async () => {
+            const response = await request(app)
+                .get('/api/audit?operation=governance.override&user=operator1')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            
+            expect(response.body.entries.length).toBeGreaterThan(0);
+            response.body.entries.forEach(entry => {
+                expect(entry.operation).toBe('governance.override');
+                expect(entry.user).toBe('operator1');
+            });
+        });
+        
+        it('should report the verification result', async () => {
+            const response = await request(app)
+                .get('/api/audit/verify')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            
+            expect(response.body.valid).toBe(true);
+        });
+    });
+    
     describe('Input Sanitization', () => {
         it('should sanitize XSS attempts', () => {
             const malicious = '<script>alert("XSS")</script>';
@@ -81,6 +250,12 @@ describe('Security Tests', () => {
             expect(sanitized.nested.deep).not.toContain('<img');
         });
         
+        it('should sanitize objects with keys that shadow Object.prototype methods', () => {
+            const sanitized = sanitizeObject(JSON.parse('{"hasOwnProperty": "<b>", "nested": {"hasOwnProperty": 1}}'));
+            
+            expect(sanitized).toEqual({ hasOwnProperty: '&lt;b&gt;', nested: { hasOwnProperty: 1 } });
+        });
+        
         it('should handle arrays in object sanitization', () => {
             const obj = {
                 items: ['<script>alert(1)</script>', 'safe', '<div>test</div>']
@@ -116,6 +291,110 @@ describe('Security Tests', () => {
             
             expect(isValid).toBe(false);
         });
+        
+        it('should only store hashed keys', () => {
+            const keyData = createApiKey('Hashed Key');
+            const stored = getApiKeyStore().get(keyData.id);
+            
+            expect(stored.hash).toHaveLength(64);
+            expect(JSON.stringify(stored)).not.toContain(keyData.key);
+            expect(getApiKeyStore().list().find(k => k.id === keyData.id)).not.toHaveProperty('hash');
+        });
+        
+        it('should batch usage stat writes instead of writing on every request', () => {
+            const store = new FileApiKeyStore({ file: 'api-keys-usage.json', flushDelay: 60000 });
+            const keyData = store.create({ name: 'Busy Key' });
+            const onDisk = () => JSON.parse(fs.readFileSync(store.filePath, 'utf8')).keys[keyData.id];
+            
+            store.verify(keyData.key);
+            store.verify(keyData.key);
+            store.verify(keyData.key);
+            expect(store.get(keyData.id).usageCount).toBe(3);
+            expect(onDisk().usageCount).toBe(0);
+            
+            store.flush();
+            expect(onDisk().usageCount).toBe(3);
+        });
+        
+        it('should reject expired and revoked keys', () => {
+            const expired = createApiKey('Expired Key', { expiresAt: Date.now() - 1000 });
+            const revoked = createApiKey('Revoked Key');
+            getApiKeyStore().revoke(revoked.id);
+            
+            expect(validateApiKey(expired.key)).toBe(false);
+            expect(validateApiKey(revoked.key)).toBe(false);
+        });
+        
+        it('should keep rotated keys valid only during the grace period', () => {
+            const original = createApiKey('Rotating Key', { scopes: ['logs:write'] });
+            const withGrace = getApiKeyStore().rotate(original.id, { gracePeriod: 60000 });
+            
+            expect(withGrace.scopes).toEqual(['logs:write']);
+            expect(validateApiKey(original.key)).toBe(true);
+            expect(validateApiKey(withGrace.key)).toBe(true);
+            
+            const withoutGrace = getApiKeyStore().rotate(withGrace.id, { gracePeriod: -1 });
+            expect(validateApiKey(withGrace.key)).toBe(false);
+            expect(validateApiKey(withoutGrace.key)).toBe(true);
+        });
+        
+        it('should limit API key callers to their scopes', async () => {
+            const keyData = createApiKey('CI Agent', { scopes: ['logs:write'] });
+            
+            await request(app)
+                .post('/api/logs')
+                .set('X-API-Key', keyData.key)
+                .send({ entries: [{ level: 'INFO', message: 'from CI' }] })
+                .expect(200);
+            
+            await request(app)
+                .get('/api/admin/keys')
+                .set('X-API-Key', keyData.key)
+                .expect(403);
+        });
+        
+        it('should manage keys through admin routes', async () => {
+            const adminToken = generateToken({ username: 'key-admin', role: 'admin' });
+            
+            const created = await request(app)
+                .post('/api/admin/keys')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Remote Node', scopes: ['nodes:read'], expiresIn: 3600000 })
+                .expect(201);
+            
+            expect(created.body.key).toHaveLength(64);
+            expect(created.body.expiresAt).toBeGreaterThan(Date.now());
+            
+            const listed = await request(app)
+                .get('/api/admin/keys')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            
+            expect(listed.body.keys.some(k => k.id === created.body.id)).toBe(true);
+            expect(JSON.stringify(listed.body)).not.toContain(created.body.key);
+            
+            const rotated = await request(app)
+                .post(`/api/admin/keys/${created.body.id}/rotate`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ gracePeriod: 0 })
+                .expect(201);
+            
+            expect(rotated.body.previous.id).toBe(created.body.id);
+            
+            await request(app)
+                .delete(`/api/admin/keys/${rotated.body.id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            
+            expect(validateApiKey(rotated.body.key)).toBe(false);
+        });
+        
+        it('should not let operators manage keys', async () => {
+            await request(app)
+                .get('/api/admin/keys')
+                .set('Authorization', `Bearer ${operatorToken}`)
+                .expect(403);
+        });
     });
     
     describe('SQL Injection Prevention', () => {
@@ -131,24 +410,60 @@ describe('Security Tests', () => {
         });
     });
     
+    describe('ReDoS Prevention', () => {
+        it('should refuse search patterns that can backtrack catastrophically', () => {
+            ['(a+)+', '(a|aa)*', '(.*.*)*X', '.*.*X', '\\w+\\d*', '.*(.*)', 'a.*b.*c.*d', '(a)\\1', '(?=a)a',
+                '\\s*\\S\\s*x', '\\s*.\\s*x', '\\s{0,990}.\\s{0,990}x', '(?:\\s?.){20}x', 'a?.b?.c?.d?.e?x']
+                .forEach(pattern => expect(() => compileSearchRegex(pattern)).toThrow());
+        });
+        
+        it('should compile ordinary search patterns case-insensitively', () => {
+            ['^node \\w+ recovered$', 'timeout.*node', '\\d{4}-\\d{2}', '(error|warn)', '(ab)+c', '[a-z]+@x', 'a{2,5}b',
+                '(ab){3}', 'https?://\\S+']
+                .forEach(pattern => expect(compileSearchRegex(pattern).flags).toBe('i'));
+        });
+    });
+    
     describe('XSS Prevention in API Responses', () => {
-        it('should sanitize log messages before storage', async () => {
-            const maliciousLog = {
-                entries: [
-                    {
-                        level: 'INFO',
-                        message: '<script>alert("XSS")</script>',
-                        context: {}
-                    }
-                ]
-            };
+        it('should store log text as sent for clients to escape when rendering', async () => {
+            const marker = `verbatim${Date.now()}`;
+            const message = `${marker} see https://x.io/a?b=1 <script>alert("XSS")</script>`;
             
             const response = await request(app)
                 .post('/api/logs')
-                .send(maliciousLog)
+                .set('Authorization', `Bearer ${operatorToken}`)
+                .send({ entries: [{ level: 'INFO', message, nodeId: 'n/1', context: {} }] })
                 .expect(200);
             
             expect(response.body.success).toBe(true);
+            
+            const stored = await request(app)
+                .get('/api/logs?nodeId=n/1')
+                .set('Authorization', `Bearer ${operatorToken}`)
+                .expect(200);
+            expect(stored.body.logs.map(log => log.message)).toContain(message);
+        });
+        
+        it('should accept context keys that shadow Object.prototype methods', async () => {
+            const response = await request(app)
+                .post('/api/logs')
+                .set('Authorization', `Bearer ${operatorToken}`)
+                .set('Content-Type', 'application/json')
+                .send('{"entries": [{"level": "INFO", "message": "Shadowed key", "context": {"hasOwnProperty": 1}}]}')
+                .expect(200);
+            
+            expect(response.body.success).toBe(true);
+        });
+        
+        it('should answer unexpected errors without a stack trace', async () => {
+            const res = { headersSent: false, status: jest.fn().mockReturnThis(), json: jest.fn() };
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            
+            errorHandler(new TypeError('Boom'), { method: 'POST', path: '/api/logs', id: 'req-1' }, res, jest.fn());
+            console.error.mockRestore();
+            
+            expect(res.status).toHaveBeenCalledWith(500);
+            expect(res.json).toHaveBeenCalledWith({ error: 'Internal Server Error', message: 'Unexpected server error', requestId: 'req-1' });
         });
     });
     
@@ -209,6 +524,7 @@ describe('Security Tests', () => {
             
             const response = await request(app)
                 .post('/api/logs')
+                .set('Authorization', `Bearer ${operatorToken}`)
                 .send(invalidLog)
                 .expect(400);
             
@@ -227,6 +543,7 @@ describe('Security Tests', () => {
             
             const response = await request(app)
                 .post('/api/logs')
+                .set('Authorization', `Bearer ${operatorToken}`)
                 .send(validLog)
                 .expect(200);
             
@@ -0,0 +1,108 @@
+/**
+ * Snapshot Store Tests
+ *
+ * @license MIT
+ * @description Tests for the client snapshot store and log outbox (in-memory backend)
+ */
+
+const SnapshotStore = require('../snapshot-store');
+
+function entry(message) {
+    return { level: 'INFO', message, idempotencyKey: `key-${message}` };
+}
+
+describe('Snapshot Store', () => {
+    it('should fall back to memory without IndexedDB', async () => {
+        await expect(new SnapshotStore().open()).resolves.toBe('memory');
+    });
+
+    describe('Snapshots', () => {
+        it('should keep the latest snapshot per key', async () => {
+            const store = new SnapshotStore();
+            await store.putSnapshot('/api/nodes/status', { nodes: [] }, 1000);
+            await store.putSnapshot('/api/nodes/status', { nodes: ['onna'] }, 2000);
+
+            await expect(store.getSnapshot('/api/nodes/status')).resolves.toEqual({
+                key: '/api/nodes/status',
+                data: { nodes: ['onna'] },
+                timestamp: 2000
+            });
+            await expect(store.getSnapshot('/api/stats')).resolves.toBeNull();
+        });
+    });
+
+    describe('Outbox', () => {
+        it('should return queued entries oldest first with retry bookkeeping', async () => {
+            const store = new SnapshotStore();
+            await store.enqueueLog(entry('first'));
+            await store.enqueueLog(entry('second'));
+
+            const queued = await store.getQueuedLogs();
+            expect(queued.map(record => record.entry.message)).toEqual(['first', 'second']);
+            expect(queued[0]).toMatchObject({ attempts: 0, nextAttemptAt: 0 });
+            expect(await store.getQueuedLogs(1)).toHaveLength(1);
+        });
+
+        it('should evict the oldest entries when full by default', async () => {
+            const store = new SnapshotStore({ maxQueuedLogs: 2 });
+            for (const message of ['a', 'b', 'c']) {
+                await store.enqueueLog(entry(message));
+            }
+
+            const queued = await store.getQueuedLogs();
+            expect(queued.map(record => record.entry.message)).toEqual(['b', 'c']);
+            expect(store.evicted).toBe(1);
+        });
+
+        it('should refuse new entries when full with drop-newest', async () => {
+            const store = new SnapshotStore({ maxQueuedLogs: 2, evictionPolicy: 'drop-newest' });
+            await store.enqueueLog(entry('a'));
+            await store.enqueueLog(entry('b'));
+
+            await expect(store.enqueueLog(entry('c'))).resolves.toBeNull();
+            const queued = await store.getQueuedLogs();
+            expect(queued.map(record => record.entry.message)).toEqual(['a', 'b']);
+            expect(store.evicted).toBe(1);
+        });
+
+        it('should update and remove queued entries by id', async () => {
+            const store = new SnapshotStore();
+            const first = await store.enqueueLog(entry('first'));
+            const second = await store.enqueueLog(entry('second'));
+
+            const [record] = await store.getQueuedLogs(1);
+            await store.updateQueuedLogs([{ ...record, attempts: 2, nextAttemptAt: 5000 }]);
+            await store.removeQueuedLogs([second]);
+
+            const queued = await store.getQueuedLogs();
+            expect(queued).toHaveLength(1);
+            expect(queued[0]).toMatchObject({ id: first, attempts: 2, nextAttemptAt: 5000 });
+        });
+
+        it('should ignore updates for entries removed in the meantime', async () => {
+            const store = new SnapshotStore();
+            const id = await store.enqueueLog(entry('delivered'));
+            const [record] = await store.getQueuedLogs();
+            await store.removeQueuedLogs([id]);
+
+            await store.updateQueuedLogs([{ ...record, attempts: 1 }]);
+
+            expect(await store.countQueuedLogs()).toBe(0);
+        });
+    });
+
+    describe('Local log history', () => {
+        it('should keep the newest entries up to maxStoredLogs', async () => {
+            const store = new SnapshotStore({ maxStoredLogs: 2 });
+            await store.appendStoredLogs([entry('a'), entry('b')]);
+            await store.appendStoredLogs([entry('c')]);
+
+            const stored = await store.getStoredLogs();
+            expect(stored.map(e => e.message)).toEqual(['b', 'c']);
+            expect((await store.getStoredLogs(1)).map(e => e.message)).toEqual(['c']);
+
+            await store.clearStoredLogs();
+            expect(await store.getStoredLogs()).toEqual([]);
+        });
+    });
+});
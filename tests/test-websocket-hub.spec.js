@@ -0,0 +1,361 @@
+/**
+ * WebSocket Hub Tests
+ * 
+ * @license MIT
+ * @description Tests for channel subscriptions and filtered broadcasts
+ */
+
+const WebSocket = require('ws');
+const { WebSocketHub, resolveChannel, extractCredentials, selectProtocol } = require('../backend/websocket-hub');
+
+/**
+ * Resolve with the next message of the given type
+ */
+function nextMessage(ws, type) {
+    return new Promise(resolve => {
+        const onMessage = (data) => {
+            const message = JSON.parse(data.toString());
+            if (message.type === type) {
+                ws.off('message', onMessage);
+                resolve(message);
+            }
+        };
+        ws.on('message', onMessage);
+    });
+}
+
+describe('WebSocket Hub', () => {
+    let wss;
+    let hub;
+    let url;
+    const sockets = [];
+    
+    beforeAll((done) => {
+        wss = new WebSocket.Server({ port: 0 }, () => {
+            url = `ws://localhost:${wss.address().port}`;
+            done();
+        });
+        hub = new WebSocketHub(wss);
+    });
+    
+    afterEach(async () => {
+        sockets.splice(0).forEach(ws => ws.terminate());
+        // Wait for the hub to see the disconnects
+        while (hub.size > 0) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    });
+    
+    afterAll((done) => {
+        wss.close(() => done());
+    });
+    
+    async function connect() {
+        const ws = new WebSocket(url);
+        sockets.push(ws);
+        await nextMessage(ws, 'connected');
+        return ws;
+    }
+    
+    async function subscribe(ws, message) {
+        const reply = nextMessage(ws, message.type === 'unsubscribe' ? 'unsubscribed' : 'subscribed');
+        ws.send(JSON.stringify(message));
+        return reply;
+    }
+    
+    it('should read credentials from the query string and subprotocols', () => {
+        expect(extractCredentials({ url: '/ws?token=abc', headers: {} })).toEqual({ token: 'abc', apiKey: null });
+        expect(extractCredentials({
+            url: '/ws',
+            headers: { 'sec-websocket-protocol': 'resonance.v1, apikey.KEY123' }
+        })).toEqual({ token: null, apiKey: 'KEY123' });
+    });
+    
+    it('should never select a credential subprotocol', () => {
+        expect(selectProtocol(new Set(['resonance.v1', 'bearer.secret']))).toBe('resonance.v1');
+        expect(selectProtocol(new Set(['bearer.secret']))).toBe(false);
+    });
+    
+    it('should resolve channel aliases and event types', () => {
+        expect(resolveChannel('nodes')).toBe('node_status');
+        expect(resolveChannel('log_entry')).toBe('log_entry');
+        expect(resolveChannel('unknown')).toBeNull();
+    });
+    
+    it('should send every channel to clients that have not subscribed', async () => {
+        const ws = await connect();
+        const received = nextMessage(ws, 'wallet_update');
+        
+        hub.broadcast('wallet_update', { balance: 1 });
+        
+        await expect(received).resolves.toMatchObject({ payload: { balance: 1 } });
+    });
+    
+    it('should only deliver subscribed channels', async () => {
+        const ws = await connect();
+        const reply = await subscribe(ws, { type: 'subscribe', channels: ['nodes', 'bogus'] });
+        
+        expect(reply.payload.channels).toEqual(['node_status']);
+        expect(reply.payload.rejected).toEqual(['bogus']);
+        
+        const types = [];
+        ws.on('message', data => types.push(JSON.parse(data.toString()).type));
+        const received = nextMessage(ws, 'node_status');
+        
+        expect(hub.broadcast('wallet_update', {})).toBe(0);
+        hub.broadcast('node_status', { nodes: [] });
+        await received;
+        
+        expect(types).toEqual(['node_status']);
+    });
+    
+    it('should stop delivering unsubscribed channels', async () => {
+        const ws = await connect();
+        const reply = await subscribe(ws, { type: 'unsubscribe', channels: ['sovereignty'] });
+        
+        expect(reply.payload.channels).not.toContain('sovereignty_update');
+        expect(hub.broadcast('sovereignty_update', {})).toBe(0);
+    });
+    
+    it('should filter log entries by node', async () => {
+        const ws = await connect();
+        await subscribe(ws, { type: 'subscribe', channels: ['logs'], nodeIds: ['onna'] });
+        
+        expect(hub.broadcast('log_entry', { nodeId: 'beth', message: 'skip' })).toBe(0);
+        
+        const received = nextMessage(ws, 'log_entry');
+        expect(hub.broadcast('log_entry', { nodeId: 'onna', message: 'keep' })).toBe(1);
+        await expect(received).resolves.toMatchObject({ payload: { message: 'keep' } });
+    });
+    
+    it('should report whether a channel has subscribers', async () => {
+        const ws = await connect();
+        await subscribe(ws, { type: 'subscribe', channels: ['nodes'] });
+        
+        expect(hub.hasSubscribers('node_status')).toBe(true);
+        expect(hub.hasSubscribers('log_entry')).toBe(false);
+    });
+    
+    describe('Replay', () => {
+        let replayWss;
+        let replayHub;
+        let replayUrl;
+        
+        beforeAll((done) => {
+            replayWss = new WebSocket.Server({ port: 0 }, () => {
+                replayUrl = `ws://localhost:${replayWss.address().port}`;
+                done();
+            });
+            replayHub = new WebSocketHub(replayWss, { replaySize: 3 });
+        });
+        
+        afterAll((done) => {
+            replayWss.close(() => done());
+        });
+        
+        async function resume(lastSeq, epoch = replayHub.epoch) {
+            const ws = new WebSocket(replayUrl);
+            sockets.push(ws);
+            const messages = [];
+            ws.on('message', data => messages.push(JSON.parse(data.toString())));
+            await nextMessage(ws, 'connected');
+            
+            const resumed = nextMessage(ws, 'resumed');
+            ws.send(JSON.stringify({ type: 'resume', lastSeq, epoch }));
+            await resumed;
+            return messages.filter(m => m.type !== 'connected');
+        }
+        
+        it('should number broadcasts and replay the ones after lastSeq', async () => {
+            const start = replayHub.seq;
+            replayHub.broadcast('log_entry', { message: 'one' });
+            replayHub.broadcast('log_entry', { message: 'two' });
+            
+            const messages = await resume(start + 1);
+            
+            expect(messages.map(m => m.type)).toEqual(['log_entry', 'resumed']);
+            expect(messages[0]).toMatchObject({ seq: start + 2, replayed: true, payload: { message: 'two' } });
+            expect(messages[1].payload).toMatchObject({ replayed: 1, seq: start + 2 });
+        });
+        
+        it('should send a gap marker when the buffer rolled over', async () => {
+            const start = replayHub.seq;
+            for (let i = 0; i < 5; i++) {
+                replayHub.broadcast('node_status', { i });
+            }
+            
+            const messages = await resume(start);
+            
+            expect(messages[0].type).toBe('gap');
+            expect(messages[0].payload).toMatchObject({ reason: 'buffer_overflow', fromSeq: start + 1, toSeq: start + 2, missed: 2 });
+            expect(messages.filter(m => m.replayed).map(m => m.payload.i)).toEqual([2, 3, 4]);
+        });
+        
+        it('should report a server restart for a different epoch', async () => {
+            const messages = await resume(10, 'previous-run');
+            
+            expect(messages[0].type).toBe('gap');
+            expect(messages[0].payload.reason).toBe('server_restart');
+        });
+    });
+    
+    describe('Authentication', () => {
+        let authWss;
+        let authUrl;
+        
+        beforeAll((done) => {
+            authWss = new WebSocket.Server({ port: 0, handleProtocols: selectProtocol }, () => {
+                authUrl = `ws://localhost:${authWss.address().port}`;
+                done();
+            });
+            new WebSocketHub(authWss, {
+                authenticate: ({ token }) => {
+                    if (token === 'stale') {
+                        const error = new Error('Token expired');
+                        error.expired = true;
+                        throw error;
+                    }
+                    if (token === 'expiring') {
+                        return { username: 'node-onna', role: 'operator', exp: Math.floor(Date.now() / 1000) };
+                    }
+                    if (token !== 'good') {
+                        throw new Error(token ? 'Invalid or expired token' : 'Authentication required');
+                    }
+                    return { username: 'node-onna', role: 'operator', authMethod: 'jwt' };
+                }
+            });
+        });
+        
+        afterAll((done) => {
+            authWss.close(() => done());
+        });
+        
+        it('should reject connections without valid credentials', (done) => {
+            const ws = new WebSocket(`${authUrl}/?token=bad`);
+            
+            ws.on('close', (code, reason) => {
+                expect(code).toBe(4401);
+                expect(reason.toString()).toBe('Invalid or expired token');
+                done();
+            });
+        });
+        
+        it('should close with 4419 when the token has expired at the handshake', (done) => {
+            const ws = new WebSocket(`${authUrl}/?token=stale`);
+            
+            ws.on('close', (code, reason) => {
+                expect(code).toBe(4419);
+                expect(reason.toString()).toBe('Token expired');
+                done();
+            });
+        });
+        
+        it('should close with 4419 when the token expires while connected', (done) => {
+            const ws = new WebSocket(`${authUrl}/?token=expiring`);
+            
+            ws.on('close', (code, reason) => {
+                expect(code).toBe(4419);
+                expect(reason.toString()).toBe('Token expired');
+                done();
+            });
+        });
+        
+        it('should attach the authenticated identity to the client', async () => {
+            const ws = new WebSocket(authUrl, ['resonance.v1', 'bearer.good']);
+            sockets.push(ws);
+            const message = await nextMessage(ws, 'connected');
+            
+            expect(ws.protocol).toBe('resonance.v1');
+            expect(message.payload.user).toEqual({ username: 'node-onna', role: 'operator', authMethod: 'jwt' });
+        });
+    });
+    
+    describe('Heartbeat', () => {
+        let hbWss;
+        let hbHub;
+        let hbUrl;
+        
+        beforeAll((done) => {
+            hbWss = new WebSocket.Server({ port: 0 }, () => {
+                hbUrl = `ws://localhost:${hbWss.address().port}`;
+                done();
+            });
+            hbHub = new WebSocketHub(hbWss, { heartbeatInterval: 50, heartbeatTimeout: 50 });
+        });
+        
+        afterAll((done) => {
+            hbWss.close(() => done());
+        });
+        
+        it('should keep clients that answer pings', async () => {
+            const ws = new WebSocket(hbUrl);
+            sockets.push(ws);
+            await nextMessage(ws, 'connected');
+            await new Promise(resolve => setTimeout(resolve, 300));
+            
+            expect(ws.readyState).toBe(WebSocket.OPEN);
+            expect(hbHub.stats().pongsReceived).toBeGreaterThan(0);
+        });
+        
+        it('should reap clients that stop answering pings', async () => {
+            const ws = new WebSocket(hbUrl, { autoPong: false });
+            sockets.push(ws);
+            await nextMessage(ws, 'connected');
+            
+            await new Promise(resolve => ws.on('close', resolve));
+            
+            expect(hbHub.stats().reaped).toBe(1);
+        });
+    });
+    
+    describe('Backpressure', () => {
+        function createHub(options) {
+            return new WebSocketHub({ on: () => {} }, { heartbeatInterval: 0, maxBufferedBytes: 100, maxQueue: 2, ...options });
+        }
+        
+        function slowClient() {
+            return {
+                id: 'client_slow',
+                ws: { readyState: WebSocket.OPEN, bufferedAmount: 1000, send: jest.fn(), close: jest.fn() },
+                channels: null,
+                nodeIds: null,
+                queue: [],
+                dropped: 0
+            };
+        }
+        
+        it('should queue messages while the socket is backed up', () => {
+            const hub = createHub();
+            const client = slowClient();
+            
+            expect(hub.deliver(client, 'one')).toBe(true);
+            expect(client.ws.send).not.toHaveBeenCalled();
+            expect(client.queue).toEqual(['one']);
+            
+            client.ws.bufferedAmount = 0;
+            hub.flush(client);
+            expect(client.ws.send).toHaveBeenCalledWith('one', expect.any(Function));
+            expect(client.queue).toEqual([]);
+        });
+        
+        it('should drop the oldest message when the queue is full', () => {
+            const hub = createHub();
+            const client = slowClient();
+            
+            ['one', 'two', 'three'].forEach(message => hub.deliver(client, message));
+            
+            expect(client.queue).toEqual(['two', 'three']);
+            expect(hub.stats().dropped).toBe(1);
+        });
+        
+        it('should disconnect slow consumers under the disconnect policy', () => {
+            const hub = createHub({ slowConsumerPolicy: 'disconnect' });
+            const client = slowClient();
+            
+            ['one', 'two', 'three'].forEach(message => hub.deliver(client, message));
+            
+            expect(client.ws.close).toHaveBeenCalledWith(4008, 'Slow consumer');
+            expect(hub.stats().slowConsumerDisconnects).toBe(1);
+        });
+    });
+});
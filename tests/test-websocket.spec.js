@@ -6,13 +6,28 @@
  */
 
 const WebSocket = require('ws');
+const request = require('supertest');
+const { app, start, stop } = require('../backend/backend-mock-server');
+const { generateToken } = require('../backend/security-middleware');
 
-const WS_PORT = process.env.WS_PORT || 3001;
-const WS_URL = `ws://localhost:${WS_PORT}`;
+const wsToken = generateToken({ username: 'ws-tester', role: 'viewer' });
+const operatorToken = generateToken({ username: 'ws-operator', role: 'operator' });
+let WS_ORIGIN;
+let WS_BASE_URL;
+let WS_URL;
 
 describe('WebSocket Server', () => {
     let ws;
     
+    beforeAll(async () => {
+        const server = await start({ port: 0 });
+        WS_ORIGIN = `ws://localhost:${server.address().port}`;
+        WS_BASE_URL = `${WS_ORIGIN}/ws`;
+        WS_URL = `${WS_BASE_URL}?token=${wsToken}`;
+    });
+    
+    afterAll(() => stop());
+    
     afterEach((done) => {
         if (ws && ws.readyState === WebSocket.OPEN) {
             ws.close();
@@ -53,6 +68,122 @@ describe('WebSocket Server', () => {
         }, 10000);
     });
     
+    describe('Authentication', () => {
+        it('should close unauthenticated connections with 4401', (done) => {
+            ws = new WebSocket(WS_BASE_URL);
+            
+            ws.on('close', (code, reason) => {
+                expect(code).toBe(4401);
+                expect(reason.toString()).toBe('Authentication required');
+                done();
+            });
+        }, 10000);
+        
+        it('should close connections with an invalid token', (done) => {
+            ws = new WebSocket(`${WS_BASE_URL}?token=not-a-jwt`);
+            
+            ws.on('close', (code) => {
+                expect(code).toBe(4401);
+                done();
+            });
+        }, 10000);
+        
+        it('should accept a token passed as a subprotocol', (done) => {
+            ws = new WebSocket(WS_BASE_URL, ['resonance.v1', `bearer.${wsToken}`]);
+            
+            ws.on('message', (data) => {
+                const message = JSON.parse(data.toString());
+                expect(ws.protocol).toBe('resonance.v1');
+                expect(message.type).toBe('connected');
+                expect(message.payload.user).toMatchObject({ username: 'ws-tester', role: 'viewer' });
+                done();
+            });
+            
+            ws.on('error', (error) => {
+                done(error);
+            });
+        }, 10000);
+    });
+    
+    describe('Upgrade Routing', () => {
+        it('should refuse upgrades on unknown paths', (done) => {
+            ws = new WebSocket(`${WS_ORIGIN}/unknown?token=${wsToken}`);
+            
+            ws.on('unexpected-response', (req, res) => {
+                expect(res.statusCode).toBe(404);
+                done();
+            });
+        }, 10000);
+        
+        it('should reject viewers on the admin endpoint with 4403', (done) => {
+            ws = new WebSocket(`${WS_ORIGIN}/ws/admin?token=${wsToken}`);
+            
+            ws.on('close', (code, reason) => {
+                expect(code).toBe(4403);
+                expect(reason.toString()).toBe('Missing permission: ws:admin');
+                done();
+            });
+        }, 10000);
+        
+        it('should let operators list live feed clients', (done) => {
+            const feed = new WebSocket(WS_URL);
+            
+            feed.on('message', () => {
+                ws = new WebSocket(`${WS_ORIGIN}/ws/admin?token=${operatorToken}`);
+                
+                ws.on('open', () => {
+                    ws.send(JSON.stringify({ type: 'clients' }));
+                });
+                
+                ws.on('message', (data) => {
+                    const message = JSON.parse(data.toString());
+                    if (message.type === 'command_result') {
+                        expect(message.payload.command).toBe('clients');
+                        expect(message.payload.result.some(c => c.username === 'ws-tester')).toBe(true);
+                        feed.close();
+                        done();
+                    }
+                });
+            });
+        }, 10000);
+        
+        it('should push log levels to live feed clients until cleared', (done) => {
+            const feed = new WebSocket(WS_URL);
+            const levels = { apiservice: 'DEBUG', '*': 'WARN' };
+            const pushed = [];
+            
+            feed.once('message', () => {
+                ws = new WebSocket(`${WS_ORIGIN}/ws/admin?token=${operatorToken}`);
+                ws.on('open', () => {
+                    ws.send(JSON.stringify({ type: 'log_level', levels, ttl: 60000 }));
+                });
+                ws.on('message', async (data) => {
+                    const message = JSON.parse(data.toString());
+                    if (message.type !== 'command_result') return;
+                    
+                    const config = await request(app).get('/api/config/logging').expect(200);
+                    if (message.payload.result.levels) {
+                        expect(config.body.levels).toEqual(levels);
+                        expect(config.body.ttl).toBeGreaterThan(0);
+                        ws.send(JSON.stringify({ type: 'log_level', levels: null }));
+                    } else {
+                        expect(config.body.levels).toBeNull();
+                        expect(pushed).toEqual([{ levels, ttl: 60000 }]);
+                        feed.close();
+                        done();
+                    }
+                });
+            });
+            
+            feed.on('message', (data) => {
+                const message = JSON.parse(data.toString());
+                if (message.type === 'log_level' && message.payload.levels) {
+                    pushed.push({ levels: message.payload.levels, ttl: message.payload.ttl });
+                }
+            });
+        }, 10000);
+    });
+    
     describe('Messaging', () => {
         it('should handle subscribe messages', (done) => {
             ws = new WebSocket(WS_URL);
@@ -83,6 +214,98 @@ describe('WebSocket Server', () => {
             });
         }, 10000);
         
+        it('should store logs sent with the log command, once per idempotency key', (done) => {
+            const entries = [{ level: 'INFO', message: 'Socket log', idempotencyKey: `ws-key-${Date.now()}` }];
+            const results = [];
+            ws = new WebSocket(`${WS_BASE_URL}?token=${operatorToken}`);
+            
+            ws.on('open', () => {
+                ws.send(JSON.stringify({ type: 'log', entries }));
+                ws.send(JSON.stringify({ type: 'log', entries }));
+            });
+            
+            ws.on('message', (data) => {
+                const message = JSON.parse(data.toString());
+                if (message.type === 'command_result') {
+                    results.push(message.payload.result);
+                    if (results.length === 2) {
+                        expect(results).toEqual([
+                            { received: 1, duplicates: 0, rejected: [] },
+                            { received: 1, duplicates: 1, rejected: [] }
+                        ]);
+                        done();
+                    }
+                }
+            });
+        }, 10000);
+        
+        it('should store and redact logs from the log command like POST /api/logs', (done) => {
+            const marker = `ws-verbatim-${Date.now()}`;
+            ws = new WebSocket(`${WS_BASE_URL}?token=${operatorToken}`);
+            
+            ws.on('open', () => {
+                ws.send(JSON.stringify({ type: 'log', entries: [{
+                    level: 'INFO',
+                    message: `<b>${marker}</b>`,
+                    context: { authorization: 'Bearer secret' }
+                }] }));
+            });
+            
+            ws.on('message', async (data) => {
+                const message = JSON.parse(data.toString());
+                if (message.type !== 'command_result') return;
+                
+                try {
+                    const response = await request(app)
+                        .get(`/api/logs?q=${marker}`)
+                        .set('Authorization', `Bearer ${operatorToken}`)
+                        .expect(200);
+                    const [log] = response.body.logs;
+                    expect(log.message).toBe(`<b>${marker}</b>`);
+                    expect(log.context).toEqual({ authorization: '[REDACTED]' });
+                    done();
+                } catch (error) {
+                    done(error);
+                }
+            });
+        }, 10000);
+        
+        it('should refuse log command payloads over the ingestion size limit', (done) => {
+            ws = new WebSocket(`${WS_BASE_URL}?token=${operatorToken}`);
+            
+            ws.on('open', () => {
+                ws.send(JSON.stringify({ type: 'log', entries: [{
+                    level: 'INFO',
+                    message: 'Oversized socket log',
+                    context: { blob: 'x'.repeat(300 * 1024) }
+                }] }));
+            });
+            
+            ws.on('message', (data) => {
+                const message = JSON.parse(data.toString());
+                if (message.type === 'command_error') {
+                    expect(message.payload.message).toMatch(/exceeds the 262144 byte limit/);
+                    done();
+                }
+            });
+        }, 10000);
+        
+        it('should refuse the log command without logs:write', (done) => {
+            ws = new WebSocket(WS_URL);
+            
+            ws.on('open', () => {
+                ws.send(JSON.stringify({ type: 'log', entries: [{ level: 'INFO', message: 'Viewer log' }] }));
+            });
+            
+            ws.on('message', (data) => {
+                const message = JSON.parse(data.toString());
+                if (message.type === 'command_error') {
+                    expect(message.payload.message).toBe('Missing permission: logs:write');
+                    done();
+                }
+            });
+        }, 10000);
+        
         it('should broadcast sovereignty updates', (done) => {
             ws = new WebSocket(WS_URL);
             
@@ -96,6 +319,7 @@ describe('WebSocket Server', () => {
                     expect(message.payload).toHaveProperty('masterHash');
                     expect(message.payload).toHaveProperty('consensusOmnibus');
                     receivedUpdate = true;
+                    clearTimeout(timeout);
                     done();
                 }
             });
@@ -105,7 +329,7 @@ describe('WebSocket Server', () => {
             });
             
             // Timeout after 15 seconds (broadcasts happen every 10s)
-            setTimeout(() => {
+            const timeout = setTimeout(() => {
                 if (!receivedUpdate) {
                     done(new Error('No sovereignty update received'));
                 }
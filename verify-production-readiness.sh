@@ -136,7 +136,11 @@ JS_FILES=(
     "kosymbiosis-monitor.js"
     "genesis-certificate-display.js"
     "operational-tests.js"
+    "event-bus.js"
+    "snapshot-store.js"
     "api-service.js"
+    "log-transports.js"
+    "log-redactor.js"
     "logger-service.js"
     "notification-service.js"
     "live-terminal.js"